@@ -0,0 +1,162 @@
+/**
+ * AdaptiveQuality - CV Frame Rate and Quality Throttling
+ *
+ * Responsible for:
+ * - Measuring inference latency and processed frame rate
+ * - Stepping a quality ladder down when inference is too slow
+ *   and back up when there is headroom
+ * - Deciding which render frames get sent to the detector
+ *
+ * Each level sets the model complexity, the input resolution scale and
+ * how many render frames pass between processed frames.
+ */
+
+// Quality ladder, best first
+export const QUALITY_LEVELS = [
+    { name: 'high', modelComplexity: 1, inputScale: 1, frameInterval: 1 },
+    { name: 'medium', modelComplexity: 1, inputScale: 0.75, frameInterval: 1 },
+    { name: 'low', modelComplexity: 0, inputScale: 0.5, frameInterval: 2 },
+    { name: 'minimal', modelComplexity: 0, inputScale: 0.5, frameInterval: 3 }
+];
+
+export class AdaptiveQuality {
+    constructor() {
+        this.enabled = true;
+        this.levelIndex = 0;
+
+        // Latency budget (ms) - above slowLatency steps down, below fastLatency steps up
+        this.slowLatency = 40;
+        this.fastLatency = 18;
+
+        // Re-evaluate at most this often (ms), and wait longer before stepping up
+        this.evaluateInterval = 2000;
+        this.upgradeDelay = 5000;
+
+        // Measurements
+        this.latencySmoothing = 0.1;    // EMA factor
+        this.averageLatency = 0;
+        this.lastLatency = 0;
+        this.processedTimes = [];       // Completion times within the last second
+        this.frameCounter = 0;
+        this.skippedFrames = 0;
+        this.lastEvaluation = 0;
+        this.lastChange = 0;
+
+        // Callbacks
+        this.onChange = null;           // (level, previousLevel)
+    }
+
+    /**
+     * Current quality level
+     */
+    getLevel() {
+        return QUALITY_LEVELS[this.levelIndex];
+    }
+
+    /**
+     * Check if this render frame should be sent to the detector
+     */
+    shouldProcess() {
+        this.frameCounter++;
+
+        if (this.frameCounter >= this.getLevel().frameInterval) {
+            this.frameCounter = 0;
+            return true;
+        }
+
+        this.skippedFrames++;
+        return false;
+    }
+
+    /**
+     * Record how long one inference took, adapting the level if needed
+     */
+    recordLatency(latency, now = performance.now()) {
+        this.lastLatency = latency;
+        this.averageLatency = this.averageLatency === 0 ?
+            latency :
+            this.averageLatency + (latency - this.averageLatency) * this.latencySmoothing;
+
+        this.processedTimes.push(now);
+        while (this.processedTimes.length > 0 && now - this.processedTimes[0] > 1000) {
+            this.processedTimes.shift();
+        }
+
+        if (this.enabled && now - this.lastEvaluation >= this.evaluateInterval) {
+            this.lastEvaluation = now;
+            this.evaluate(now);
+        }
+    }
+
+    /**
+     * Step down when slow, up when there has been headroom for a while
+     */
+    evaluate(now) {
+        if (this.averageLatency > this.slowLatency && this.levelIndex < QUALITY_LEVELS.length - 1) {
+            this.setLevel(this.levelIndex + 1, now);
+        } else if (this.averageLatency < this.fastLatency && this.levelIndex > 0 &&
+                   now - this.lastChange >= this.upgradeDelay) {
+            this.setLevel(this.levelIndex - 1, now);
+        }
+    }
+
+    /**
+     * Jump to a level (index into QUALITY_LEVELS)
+     */
+    setLevel(index, now = performance.now()) {
+        const clamped = Math.max(0, Math.min(QUALITY_LEVELS.length - 1, index));
+        if (clamped === this.levelIndex) {
+            return;
+        }
+
+        const previous = this.getLevel();
+        this.levelIndex = clamped;
+        this.lastChange = now;
+        this.frameCounter = 0;
+
+        // The new level has different costs - measure afresh
+        this.averageLatency = 0;
+
+        if (this.onChange) {
+            this.onChange(this.getLevel(), previous);
+        }
+    }
+
+    /**
+     * Turn automatic adjustment on/off (the current level is kept)
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    /**
+     * Snapshot of the measurements
+     */
+    getMetrics() {
+        const level = this.getLevel();
+
+        return {
+            latency: this.lastLatency,
+            averageLatency: this.averageLatency,
+            processedFps: this.processedTimes.length,
+            skippedFrames: this.skippedFrames,
+            adaptive: this.enabled,
+            level: level.name,
+            modelComplexity: level.modelComplexity,
+            inputScale: level.inputScale,
+            frameInterval: level.frameInterval
+        };
+    }
+
+    /**
+     * Forget measurements (backend or source changed)
+     */
+    reset() {
+        this.averageLatency = 0;
+        this.lastLatency = 0;
+        this.processedTimes = [];
+        this.frameCounter = 0;
+        this.skippedFrames = 0;
+        this.lastEvaluation = 0;
+    }
+}
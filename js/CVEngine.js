@@ -2,15 +2,42 @@
  * CVEngine - Computer Vision Engine using MediaPipe Hands
  * 
  * Responsible for:
- * - Initializing MediaPipe Hands
+ * - Initializing a detector backend (MediaPipe Hands, HandLandmarker, worker, mock)
  * - Processing video frames (with safety checks)
- * - Detecting hand landmarks and gestures
+ * - Throttling frame rate and quality to the measured inference latency
+ * - Detecting hand landmarks and gestures (one or two hands)
  * - Emitting structured gesture data
  */
 
+import { DetectorBackendType } from './DetectorBackend.js';
+import { MediaPipeHandsBackend } from './MediaPipeHandsBackend.js';
+import { HandLandmarkerBackend } from './HandLandmarkerBackend.js';
+import { WorkerBackend } from './WorkerBackend.js';
+import { MockBackend } from './MockBackend.js';
+import { AdaptiveQuality } from './AdaptiveQuality.js';
+
+// Handedness labels (from the player's point of view)
+export const Handedness = {
+    LEFT: 'Left',
+    RIGHT: 'Right'
+};
+
+// Which half of the screen a hand is in (from the player's point of view)
+export const ScreenSide = {
+    LEFT: 'left',
+    RIGHT: 'right'
+};
+
+// How custom (user-trained) gestures combine with the built-in ones
+export const CustomGestureMode = {
+    ALONGSIDE: 'alongside', // Custom gestures win, built-ins otherwise
+    REPLACE: 'replace'      // Only custom gestures are recognized
+};
+
 export class CVEngine {
     constructor() {
-        this.hands = null;
+        this.backend = null;
+        this.backendType = null;
         this.isInitialized = false;
         this.isProcessing = false;
         this.lastResults = null;
@@ -19,58 +46,195 @@ export class CVEngine {
         this.onResults = null;
         this.onError = null;
         this.onInitialized = null;
+        this.onQualityChange = null;
+
+        // Latency-driven frame rate and quality
+        this.quality = new AdaptiveQuality();
+        this.quality.onChange = (level, previous) => this.handleQualityChange(level, previous);
+        this.scaleCanvas = null;
+        this.frameStartTime = null; // performance.now() when the frame in flight was sent
+
+        // Tracking options
+        this.maxNumHands = 1;
+        this.mirroredInput = false; // true if frames are already flipped like a selfie
 
         // Gesture detection thresholds
         this.pinchThreshold = 0.08; // Distance threshold for pinch detection
         this.fistThreshold = 0.15;  // Curl threshold for fist detection
+
+        // Optional user-trained classifier (see GestureClassifier)
+        this.customClassifier = null;
+        this.customGestureMode = CustomGestureMode.ALONGSIDE;
     }
 
     /**
-     * Initialize MediaPipe Hands
+     * Initialize the hand detector
+     * options.backend picks a DetectorBackendType (MediaPipe Hands by default),
+     * options.landmarks is the recording for the mock backend.
+     * Model backends fall back to MediaPipe Hands if they can't start.
      */
-    async init() {
-        try {
-            // Check if MediaPipe Hands is available
-            if (typeof Hands === 'undefined') {
-                throw new Error('MediaPipe Hands not loaded');
-            }
+    async init(options = {}) {
+        if (this.backend) {
+            this.backend.close();
+            this.backend = null;
+        }
 
-            this.hands = new Hands({
-                locateFile: (file) => {
-                    return `https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1675469240/${file}`;
-                }
-            });
+        const requested = options.backend ||
+            (options.useWorker ? DetectorBackendType.WORKER : DetectorBackendType.MEDIAPIPE_HANDS);
 
-            // Configure hands detection
-            this.hands.setOptions({
-                maxNumHands: 1,
-                modelComplexity: 1,
-                minDetectionConfidence: 0.7,
-                minTrackingConfidence: 0.5
-            });
+        const candidates = [requested];
+        if (requested !== DetectorBackendType.MEDIAPIPE_HANDS && requested !== DetectorBackendType.MOCK) {
+            candidates.push(DetectorBackendType.MEDIAPIPE_HANDS);
+        }
 
-            // Set up results callback
-            this.hands.onResults((results) => this.processResults(results));
+        let lastError = null;
 
-            // Warm up the model
-            await this.hands.initialize();
+        for (const type of candidates) {
+            const backend = this.createBackend(type, options);
 
-            this.isInitialized = true;
+            try {
+                backend.onResults = (results) => this.processResults(results);
+                await backend.init(this.getTrackingOptions());
 
-            if (this.onInitialized) {
-                this.onInitialized();
+                this.backend = backend;
+                this.backendType = type;
+                this.quality.reset();
+                this.isInitialized = true;
+
+                if (this.onInitialized) {
+                    this.onInitialized();
+                }
+
+                return { success: true, backend: type };
+            } catch (error) {
+                console.warn(`CVEngine: ${type} backend failed to start:`, error);
+                backend.close();
+                lastError = error;
             }
+        }
+
+        console.error('CVEngine init error:', lastError);
 
-            return { success: true };
-        } catch (error) {
-            console.error('CVEngine init error:', error);
+        if (this.onError) {
+            this.onError(lastError);
+        }
+
+        return { success: false, error: lastError };
+    }
 
-            if (this.onError) {
-                this.onError(error);
+    /**
+     * Build a detector backend by type
+     */
+    createBackend(type, options = {}) {
+        switch (type) {
+            case DetectorBackendType.HAND_LANDMARKER:
+                return new HandLandmarkerBackend();
+
+            case DetectorBackendType.WORKER: {
+                const backend = new WorkerBackend();
+                backend.onCrash = (error) => this.handleBackendCrash(error);
+                return backend;
             }
 
-            return { success: false, error };
+            case DetectorBackendType.MOCK:
+                return new MockBackend(options.landmarks);
+
+            default:
+                return new MediaPipeHandsBackend();
+        }
+    }
+
+    /**
+     * Backend died mid-session
+     */
+    handleBackendCrash(error) {
+        this.backend = null;
+        this.isInitialized = false;
+        this.isProcessing = false;
+
+        if (this.onError) {
+            this.onError(error);
+        }
+    }
+
+    /**
+     * Options passed to the detector backend
+     */
+    getTrackingOptions() {
+        return {
+            maxNumHands: this.maxNumHands,
+            modelComplexity: this.quality.getLevel().modelComplexity,
+            minDetectionConfidence: 0.7,
+            minTrackingConfidence: 0.5
+        };
+    }
+
+    /**
+     * Set how many hands to track (1 or 2)
+     */
+    setMaxHands(count) {
+        this.maxNumHands = count;
+
+        if (this.backend) {
+            this.backend.setOptions({ maxNumHands: count });
+        }
+    }
+
+    /**
+     * Apply a new quality level to the backend
+     */
+    handleQualityChange(level, previous) {
+        console.log(`CV quality: ${previous.name} → ${level.name}`);
+
+        if (this.backend && level.modelComplexity !== previous.modelComplexity) {
+            this.backend.setOptions({ modelComplexity: level.modelComplexity });
+        }
+
+        if (this.onQualityChange) {
+            this.onQualityChange(level);
+        }
+    }
+
+    /**
+     * Latency, frame rate and current quality settings
+     */
+    getMetrics() {
+        return {
+            ...this.quality.getMetrics(),
+            backend: this.backendType
+        };
+    }
+
+    /**
+     * Downscale the video to the current level's input resolution
+     */
+    getInputImage(videoElement) {
+        const scale = this.quality.getLevel().inputScale;
+        if (!videoElement || scale >= 1) {
+            return videoElement;
+        }
+
+        if (!this.scaleCanvas) {
+            this.scaleCanvas = document.createElement('canvas');
+        }
+
+        const width = Math.round(videoElement.videoWidth * scale);
+        const height = Math.round(videoElement.videoHeight * scale);
+
+        if (this.scaleCanvas.width !== width || this.scaleCanvas.height !== height) {
+            this.scaleCanvas.width = width;
+            this.scaleCanvas.height = height;
         }
+
+        this.scaleCanvas.getContext('2d').drawImage(videoElement, 0, 0, width, height);
+        return this.scaleCanvas;
+    }
+
+    /**
+     * Check if the backend needs camera frames (the mock replays data instead)
+     */
+    needsVideo() {
+        return !this.backend || this.backend.needsImage;
     }
 
     /**
@@ -78,46 +242,70 @@ export class CVEngine {
      * SAFETY: Only processes if video is valid
      */
     async processFrame(videoElement) {
-        // SAFETY CHECK: Never process if video is not ready
-        if (!videoElement ||
-            videoElement.readyState < 2 ||
-            videoElement.paused ||
-            videoElement.videoWidth === 0) {
+        if (!this.isInitialized || !this.backend) {
             return null;
         }
 
-        if (!this.isInitialized || !this.hands) {
+        // SAFETY CHECK: Never process if video is not ready
+        if (this.backend.needsImage &&
+            (!videoElement ||
+            videoElement.readyState < 2 ||
+            videoElement.paused ||
+            videoElement.videoWidth === 0)) {
             return null;
         }
 
-        if (this.isProcessing) {
+        if (this.isProcessing || !this.quality.shouldProcess()) {
             return this.lastResults;
         }
 
         this.isProcessing = true;
 
-        try {
-            await this.hands.send({ image: videoElement });
-        } catch (error) {
-            console.warn('Frame processing error:', error);
-        }
+        const image = this.backend.needsImage ? this.getInputImage(videoElement) : null;
+        const startTime = performance.now();
+        this.frameStartTime = startTime;
+
+        const done = this.backend.send(image, startTime)
+            .then(() => {
+                const now = performance.now();
+                this.quality.recordLatency(now - startTime, now);
+            })
+            .catch(error => console.warn('Frame processing error:', error))
+            .finally(() => {
+                this.isProcessing = false;
+            });
 
-        this.isProcessing = false;
+        // Off-thread backends report through onResults later
+        if (!this.backend.offMainThread) {
+            await done;
+        }
 
         return this.lastResults;
     }
 
     /**
      * Process MediaPipe results and extract gesture data
+     * Top-level fields describe the first hand; `hands` lists every hand
      */
     processResults(results) {
-        if (!results.multiHandLandmarks || results.multiHandLandmarks.length === 0) {
+        const hands = (results.multiHandLandmarks || []).map((landmarks, index) =>
+            this.describeHand(landmarks, results.multiHandedness?.[index])
+        );
+
+        // Time from grabbing the frame to having landmarks
+        const inferenceLatency = this.frameStartTime !== null ?
+            performance.now() - this.frameStartTime :
+            undefined;
+
+        if (hands.length === 0) {
             this.lastResults = {
                 detected: false,
                 gesture: 'none',
                 confidence: 0,
                 position: { x: 0.5, y: 0.5 },
-                landmarks: null
+                landmarks: null,
+                hands: [],
+                inferenceLatency: inferenceLatency
             };
 
             if (this.onResults) {
@@ -126,27 +314,73 @@ export class CVEngine {
             return;
         }
 
-        const landmarks = results.multiHandLandmarks[0];
-        const handedness = results.multiHandedness[0];
+        const primary = hands[0];
+
+        this.lastResults = {
+            detected: true,
+            gesture: primary.gesture,
+            confidence: primary.confidence,
+            position: primary.position,
+            palmSize: primary.palmSize,
+            landmarks: primary.landmarks,
+            gestureStrength: primary.gestureStrength,
+            gestureScores: primary.gestureScores,
+            handedness: primary.handedness,
+            hands: hands,
+            inferenceLatency: inferenceLatency
+        };
+
+        if (this.onResults) {
+            this.onResults(this.lastResults);
+        }
+    }
 
+    /**
+     * Build per-hand data from landmarks and MediaPipe handedness
+     */
+    describeHand(landmarks, handedness) {
         // Get palm center (average of wrist and middle finger base)
         const palmCenter = this.getPalmCenter(landmarks);
 
+        // Apparent palm size grows as the hand nears the camera
+        const palmSize = this.getPalmSize(landmarks);
+
+        const handLabel = this.getHandLabel(handedness);
+
         // Detect gesture
-        const gesture = this.detectGesture(landmarks);
+        const gesture = this.detectGesture(landmarks, handLabel);
 
-        this.lastResults = {
+        // Un-mirrored frames show the player's left side on the image's right
+        const onImageRight = palmCenter.x > 0.5;
+        const side = onImageRight !== this.mirroredInput ? ScreenSide.LEFT : ScreenSide.RIGHT;
+
+        return {
             detected: true,
-            gesture: gesture.type,
-            confidence: handedness.score,
+            handedness: handLabel,
+            side: side,
+            confidence: handedness ? handedness.score : 0,
             position: palmCenter,
+            palmSize: palmSize,
             landmarks: landmarks,
-            gestureStrength: gesture.strength
+            gesture: gesture.type,
+            gestureStrength: gesture.strength,
+            gestureScores: gesture.scores
         };
+    }
 
-        if (this.onResults) {
-            this.onResults(this.lastResults);
+    /**
+     * Convert MediaPipe's handedness label to the player's actual hand
+     */
+    getHandLabel(handedness) {
+        if (!handedness) {
+            return null;
+        }
+
+        // MediaPipe labels hands as if the image were mirrored
+        if (this.mirroredInput) {
+            return handedness.label;
         }
+        return handedness.label === Handedness.LEFT ? Handedness.RIGHT : Handedness.LEFT;
     }
 
     /**
@@ -165,32 +399,101 @@ export class CVEngine {
         };
     }
 
+    /**
+     * Apparent palm size in image space (depth cue)
+     * Uses the larger of palm length and width so tilting the hand
+     * one way doesn't read as moving away
+     */
+    getPalmSize(landmarks) {
+        const distance2D = (a, b) => Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+
+        return Math.max(
+            distance2D(landmarks[0], landmarks[9]),     // Wrist to middle finger base
+            distance2D(landmarks[5], landmarks[17])     // Index base to pinky base
+        );
+    }
+
+    /**
+     * Use a trained classifier for custom gestures (null to remove)
+     */
+    setCustomClassifier(classifier, mode = this.customGestureMode) {
+        this.customClassifier = classifier;
+        this.customGestureMode = mode;
+    }
+
     /**
      * Detect gesture type from landmarks
+     * `scores` rates every candidate 0-1 so FeatureProcessor can apply hysteresis
      */
-    detectGesture(landmarks) {
-        // Check for pinch (thumb tip to index tip distance)
+    detectGesture(landmarks, handLabel = null) {
+        const scores = {};
+        let custom = null;
+
+        if (this.customClassifier && this.customClassifier.hasExamples()) {
+            custom = this.customClassifier.classify(landmarks, handLabel);
+            if (custom) {
+                scores[custom.type] = custom.strength;
+            }
+
+            // Nothing recognized - treat as a neutral open hand
+            if (this.customGestureMode === CustomGestureMode.REPLACE) {
+                return custom ?
+                    { type: custom.type, strength: custom.strength, scores: scores } :
+                    { type: 'open', strength: 1.0, scores: scores };
+            }
+        }
+
+        // Pinch score is 0.5 at the threshold and keeps falling beyond it
         const pinchDistance = this.getDistance(landmarks[4], landmarks[8]);
+        scores.pinch = Math.max(0, 1 - pinchDistance / (this.pinchThreshold * 2));
+
+        // Thumbs-up is a fist with the thumb raised, so it takes the fist's place
+        const fistScore = this.getFistScore(landmarks);
+        const thumbsUp = this.isThumbsUp(landmarks, fistScore);
+        scores.thumbsUp = thumbsUp ? 1 : 0;
+        scores.fist = thumbsUp ? 0 : fistScore;
+
+        const pointing = this.isPointing(landmarks);
+        scores.point = pointing ? 1 : 0;
+
+        const victory = this.isVictory(landmarks);
+        scores.victory = victory ? 1 : 0;
+
+        if (custom) {
+            return { type: custom.type, strength: custom.strength, scores: scores };
+        }
+
+        // Check for pinch (thumb tip to index tip distance)
         if (pinchDistance < this.pinchThreshold) {
             return {
                 type: 'pinch',
-                strength: 1 - (pinchDistance / this.pinchThreshold)
+                strength: 1 - (pinchDistance / this.pinchThreshold),
+                scores: scores
             };
         }
 
+        // Check for thumbs-up (fingers curled, thumb pointing up)
+        if (thumbsUp) {
+            return { type: 'thumbsUp', strength: 1.0, scores: scores };
+        }
+
         // Check for closed fist (all fingertips close to palm)
-        const fistScore = this.getFistScore(landmarks);
         if (fistScore > 0.7) {
-            return { type: 'fist', strength: fistScore };
+            return { type: 'fist', strength: fistScore, scores: scores };
         }
 
         // Check for pointing (index extended, others curled)
-        if (this.isPointing(landmarks)) {
-            return { type: 'point', strength: 1.0 };
+        if (pointing) {
+            return { type: 'point', strength: 1.0, scores: scores };
+        }
+
+        // Check for victory sign (index and middle extended, others curled)
+        if (victory) {
+            return { type: 'victory', strength: 1.0, scores: scores };
         }
 
         // Default to open palm
-        return { type: 'open', strength: 1.0 };
+        return { type: 'open', strength: 1.0, scores: scores };
     }
 
     /**
@@ -244,6 +547,40 @@ export class CVEngine {
         return indexExtended && middleCurled;
     }
 
+    /**
+     * Check if hand is making a victory sign
+     */
+    isVictory(landmarks) {
+        const wrist = landmarks[0];
+        const extended = (tip, mcp) =>
+            this.getDistance(landmarks[tip], wrist) > this.getDistance(landmarks[mcp], wrist) * 1.3;
+        const curled = (tip, mcp) =>
+            this.getDistance(landmarks[tip], wrist) < this.getDistance(landmarks[mcp], wrist) * 1.2;
+
+        return extended(8, 5) && extended(12, 9) && curled(16, 13) && curled(20, 17);
+    }
+
+    /**
+     * Check if hand is giving a thumbs-up
+     */
+    isThumbsUp(landmarks, fistScore = this.getFistScore(landmarks)) {
+        if (fistScore < 0.75) {
+            return false;
+        }
+
+        const thumbTip = landmarks[4];
+        const thumbMcp = landmarks[2];
+        const palmSize = this.getPalmSize(landmarks);
+
+        // Thumb sticks out from the curled fingers...
+        const thumbExtended = this.getDistance(thumbTip, landmarks[5]) > palmSize * 0.6;
+
+        // ...and points up (image y grows downward)
+        const thumbUp = thumbMcp.y - thumbTip.y > palmSize * 0.4;
+
+        return thumbExtended && thumbUp;
+    }
+
     /**
      * Get latest results without processing
      */
@@ -255,23 +592,39 @@ export class CVEngine {
      * Check if engine is ready
      */
     isReady() {
-        return this.isInitialized && this.hands !== null;
+        return this.isInitialized && this.backend !== null;
     }
 
     /**
      * Draw landmarks on canvas (for preview)
      */
     drawLandmarks(ctx, canvasWidth, canvasHeight) {
+        ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+
         if (!this.lastResults || !this.lastResults.landmarks) {
             return;
         }
 
-        const landmarks = this.lastResults.landmarks;
+        const hands = this.lastResults.hands || [{ landmarks: this.lastResults.landmarks }];
 
-        ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+        // First hand keeps the classic colors, second hand is orange
+        const palettes = [
+            { line: '#00f0ff', point: '#ff00aa' },
+            { line: '#ffaa00', point: '#00ff88' }
+        ];
 
+        hands.forEach((hand, index) => {
+            this.drawHand(ctx, hand.landmarks, canvasWidth, canvasHeight,
+                palettes[index % palettes.length]);
+        });
+    }
+
+    /**
+     * Draw a single hand skeleton
+     */
+    drawHand(ctx, landmarks, canvasWidth, canvasHeight, palette) {
         // Draw connections
-        ctx.strokeStyle = '#00f0ff';
+        ctx.strokeStyle = palette.line;
         ctx.lineWidth = 2;
 
         const connections = [
@@ -294,7 +647,7 @@ export class CVEngine {
         }
 
         // Draw points
-        ctx.fillStyle = '#ff00aa';
+        ctx.fillStyle = palette.point;
         for (const lm of landmarks) {
             ctx.beginPath();
             ctx.arc(lm.x * canvasWidth, lm.y * canvasHeight, 4, 0, Math.PI * 2);
@@ -306,9 +659,9 @@ export class CVEngine {
      * Cleanup resources
      */
     dispose() {
-        if (this.hands) {
-            this.hands.close();
-            this.hands = null;
+        if (this.backend) {
+            this.backend.close();
+            this.backend = null;
         }
         this.isInitialized = false;
         this.lastResults = null;
@@ -0,0 +1,53 @@
+/**
+ * CVWorker - Hand Tracking Off the Main Thread
+ *
+ * Responsible for:
+ * - Hosting a HandLandmarkerBackend inside a module worker
+ * - Running inference on ImageBitmap frames posted by WorkerBackend
+ * - Posting results back in the MediaPipe Hands format
+ *
+ * Messages in:  { type: 'init', options }, { type: 'frame', bitmap, timestamp },
+ *               { type: 'options', options }
+ * Messages out: { type: 'ready', delegate }, { type: 'results', results, timestamp },
+ *               { type: 'error', message }
+ */
+
+import { HandLandmarkerBackend } from './HandLandmarkerBackend.js';
+
+const backend = new HandLandmarkerBackend();
+let frameTimestamp = 0;
+
+backend.onResults = (results) => {
+    self.postMessage({ type: 'results', results: results, timestamp: frameTimestamp });
+};
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    try {
+        switch (message.type) {
+            case 'init':
+                await backend.init(message.options);
+                self.postMessage({ type: 'ready', delegate: backend.delegate });
+                break;
+
+            case 'frame':
+                try {
+                    if (!backend.landmarker) {
+                        throw new Error('Frame received before init');
+                    }
+                    frameTimestamp = message.timestamp;
+                    await backend.send(message.bitmap, message.timestamp);
+                } finally {
+                    message.bitmap.close();
+                }
+                break;
+
+            case 'options':
+                backend.setOptions(message.options);
+                break;
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message || String(error) });
+    }
+};
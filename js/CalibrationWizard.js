@@ -0,0 +1,253 @@
+/**
+ * CalibrationWizard - Per-User Hand Range Calibration
+ *
+ * Responsible for:
+ * - Walking the player through the center and four corner targets
+ * - Averaging palm positions while each target is held
+ * - Fitting an input range and an affine (rotation/skew) correction
+ *
+ * Feed it CV results with addFrame() while start() is pending.
+ * Targets are named from the player's point of view.
+ */
+
+// Targets in game space (-1 to 1); x > 0 is the player's left
+export const CALIBRATION_TARGETS = [
+    { id: 'center', label: 'center', x: 0, y: 0 },
+    { id: 'topLeft', label: 'top-left corner', x: 1, y: -1 },
+    { id: 'topRight', label: 'top-right corner', x: -1, y: -1 },
+    { id: 'bottomRight', label: 'bottom-right corner', x: -1, y: 1 },
+    { id: 'bottomLeft', label: 'bottom-left corner', x: 1, y: 1 }
+];
+
+// Phases of each target
+export const CalibrationPhase = {
+    SETTLE: 'settle',
+    CAPTURE: 'capture'
+};
+
+export class CalibrationWizard {
+    constructor() {
+        this.settleMs = 1200;       // Time to reach the target (hand visible)
+        this.captureMs = 800;       // Time averaged at the target
+        this.minSamples = 8;        // Per target
+        this.minSpan = 0.1;         // Smallest usable range per axis (camera space)
+
+        // Active run: { index, points, samples, elapsed, lastTimestamp, resolve, reject }
+        this.session = null;
+
+        // Callbacks
+        this.onStep = null;         // (target, index, phase, progress 0-1)
+    }
+
+    /**
+     * Start calibrating, resolves with a profile for FeatureProcessor.configure
+     */
+    start() {
+        if (this.session) {
+            return Promise.reject(new Error('Calibration already running'));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.session = {
+                index: 0,
+                points: [],
+                samples: [],
+                elapsed: 0,
+                lastTimestamp: null,
+                resolve: resolve,
+                reject: reject
+            };
+            this.reportStep(CalibrationPhase.SETTLE, 0);
+        });
+    }
+
+    /**
+     * Feed one hand's CV results while calibrating
+     */
+    addFrame(cvResults, timestamp = performance.now()) {
+        const session = this.session;
+        if (!session) {
+            return;
+        }
+
+        const dt = session.lastTimestamp === null ? 0 : timestamp - session.lastTimestamp;
+        session.lastTimestamp = timestamp;
+
+        // The clock only runs while the hand is visible
+        if (!cvResults || !cvResults.detected) {
+            return;
+        }
+
+        session.elapsed += dt;
+
+        if (session.elapsed < this.settleMs) {
+            this.reportStep(CalibrationPhase.SETTLE, session.elapsed / this.settleMs);
+            return;
+        }
+
+        session.samples.push({ x: cvResults.position.x, y: cvResults.position.y });
+
+        const captured = session.elapsed - this.settleMs;
+        this.reportStep(CalibrationPhase.CAPTURE, Math.min(1, captured / this.captureMs));
+
+        if (captured >= this.captureMs && session.samples.length >= this.minSamples) {
+            this.completeTarget();
+        }
+    }
+
+    /**
+     * Store the averaged position and move to the next target
+     */
+    completeTarget() {
+        const session = this.session;
+        const target = CALIBRATION_TARGETS[session.index];
+
+        // Median is robust to a stray detection on the way in
+        const median = (values) => {
+            const sorted = [...values].sort((a, b) => a - b);
+            return sorted[Math.floor(sorted.length / 2)];
+        };
+
+        session.points.push({
+            target: target,
+            x: median(session.samples.map(s => s.x)),
+            y: median(session.samples.map(s => s.y))
+        });
+
+        session.index++;
+        session.samples = [];
+        session.elapsed = 0;
+
+        if (session.index < CALIBRATION_TARGETS.length) {
+            this.reportStep(CalibrationPhase.SETTLE, 0);
+            return;
+        }
+
+        this.session = null;
+
+        const profile = this.computeProfile(session.points);
+        if (profile) {
+            session.resolve(profile);
+        } else {
+            session.reject(new Error('Corners too close together - move your hand further and try again'));
+        }
+    }
+
+    /**
+     * Fit an input range and affine transform to the captured points
+     * Returns null if the points don't span a usable area
+     */
+    computeProfile(points) {
+        const byId = {};
+        for (const point of points) {
+            byId[point.target.id] = point;
+        }
+
+        const mean = (ids, axis) => ids.reduce((sum, id) => sum + byId[id][axis], 0) / ids.length;
+
+        const leftX = mean(['topLeft', 'bottomLeft'], 'x');
+        const rightX = mean(['topRight', 'bottomRight'], 'x');
+        const topY = mean(['topLeft', 'topRight'], 'y');
+        const bottomY = mean(['bottomLeft', 'bottomRight'], 'y');
+
+        if (Math.abs(leftX - rightX) < this.minSpan || bottomY - topY < this.minSpan) {
+            return null;
+        }
+
+        // Keep the uncalibrated direction (mirrored frames put the player's left on the image's left)
+        const flipX = leftX < rightX ? -1 : 1;
+
+        const transform = this.fitAffine(points.map(point => ({
+            x: point.x,
+            y: point.y,
+            targetX: point.target.x * flipX,
+            targetY: point.target.y
+        })));
+
+        if (!transform) {
+            return null;
+        }
+
+        return {
+            inputRange: {
+                minX: Math.min(leftX, rightX),
+                maxX: Math.max(leftX, rightX),
+                minY: topY,
+                maxY: bottomY
+            },
+            transform: transform,
+            createdAt: Date.now()
+        };
+    }
+
+    /**
+     * Least-squares affine fit: target = [a b c; d e f] * [x y 1]
+     */
+    fitAffine(points) {
+        // Normal equations share the same 3x3 matrix for both outputs
+        const m = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        const bx = [0, 0, 0];
+        const by = [0, 0, 0];
+
+        for (const p of points) {
+            const row = [p.x, p.y, 1];
+            for (let i = 0; i < 3; i++) {
+                for (let j = 0; j < 3; j++) {
+                    m[i][j] += row[i] * row[j];
+                }
+                bx[i] += row[i] * p.targetX;
+                by[i] += row[i] * p.targetY;
+            }
+        }
+
+        const rowX = this.solve3(m, bx);
+        const rowY = this.solve3(m, by);
+
+        return rowX && rowY ? [...rowX, ...rowY] : null;
+    }
+
+    /**
+     * Solve a 3x3 linear system with Cramer's rule (null if singular)
+     */
+    solve3(m, b) {
+        const det = (a) =>
+            a[0][0] * (a[1][1] * a[2][2] - a[1][2] * a[2][1]) -
+            a[0][1] * (a[1][0] * a[2][2] - a[1][2] * a[2][0]) +
+            a[0][2] * (a[1][0] * a[2][1] - a[1][1] * a[2][0]);
+
+        const d = det(m);
+        if (Math.abs(d) < 1e-12) {
+            return null;
+        }
+
+        return [0, 1, 2].map(col => {
+            const replaced = m.map((row, i) => row.map((value, j) => j === col ? b[i] : value));
+            return det(replaced) / d;
+        });
+    }
+
+    /**
+     * Abort the current calibration
+     */
+    cancel() {
+        if (this.session) {
+            const session = this.session;
+            this.session = null;
+            session.reject(new Error('Calibration cancelled'));
+        }
+    }
+
+    /**
+     * Check if a calibration is in progress
+     */
+    isRunning() {
+        return this.session !== null;
+    }
+
+    reportStep(phase, progress) {
+        if (this.onStep && this.session) {
+            const index = this.session.index;
+            this.onStep(CALIBRATION_TARGETS[index], index, phase, Math.max(0, progress));
+        }
+    }
+}
@@ -5,9 +5,22 @@
  * - Requesting camera permissions
  * - Managing video stream lifecycle
  * - Providing video element for CV processing
+ * - Listing video input devices and switching between them
+ * - Detecting lost tracks and reconnecting when the camera returns
+ * - Playing a video file in place of the camera (testing/demos)
  * - Error handling and cleanup
  */
 
+import { loadPreference, savePreference, removePreference } from './Preferences.js';
+
+const DEVICE_PREFERENCE_KEY = 'cameraDeviceId';
+
+// Where the video element gets its frames from
+export const VideoSource = {
+    CAMERA: 'camera',
+    FILE: 'file'
+};
+
 export class CameraManager {
     constructor() {
         this.videoElement = null;
@@ -15,10 +28,35 @@ export class CameraManager {
         this.isReady = false;
         this.hasPermission = false;
         
+        // Video file playback (replaces the camera stream)
+        this.sourceType = VideoSource.CAMERA;
+        this.fileUrl = null;
+        this.fileName = null;
+        this.ownsFileUrl = false;
+        
+        // Selected camera (null = browser default)
+        this.deviceId = loadPreference(DEVICE_PREFERENCE_KEY, null);
+        
+        // Disconnect recovery
+        this.isLost = false;
+        this.lostReason = null;
+        this.isReconnecting = false;
+        this.reconnectTimer = null;
+        this.reconnectInterval = 2000; // ms between reconnect attempts
+        
         // Callbacks
         this.onReady = null;
         this.onError = null;
         this.onPermissionDenied = null;
+        this.onDisconnect = null;
+        this.onReconnect = null;
+        this.onDevicesChanged = null;
+        
+        // Bind event handlers
+        this.handleTrackEnded = this.handleTrackEnded.bind(this);
+        this.handleTrackMute = this.handleTrackMute.bind(this);
+        this.handleTrackUnmute = this.handleTrackUnmute.bind(this);
+        this.handleDeviceChange = this.handleDeviceChange.bind(this);
         
         // Configuration
         this.constraints = {
@@ -38,6 +76,11 @@ export class CameraManager {
     init(videoElement, previewElement = null) {
         this.videoElement = videoElement;
         this.previewElement = previewElement;
+        
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', this.handleDeviceChange);
+        }
+        
         return this;
     }
     
@@ -52,11 +95,19 @@ export class CameraManager {
             }
             
             // Request camera access
-            this.stream = await navigator.mediaDevices.getUserMedia(this.constraints);
+            this.stream = await navigator.mediaDevices.getUserMedia(this.buildConstraints());
             this.hasPermission = true;
             
             return { success: true };
         } catch (error) {
+            // Remembered camera is gone - fall back to the default one
+            if (this.deviceId && (error.name === 'OverconstrainedError' || error.name === 'NotFoundError')) {
+                console.warn('Saved camera unavailable, using default camera');
+                this.deviceId = null;
+                removePreference(DEVICE_PREFERENCE_KEY);
+                return this.requestPermission();
+            }
+            
             this.hasPermission = false;
             
             if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
@@ -77,6 +128,94 @@ export class CameraManager {
         }
     }
     
+    /**
+     * Build getUserMedia constraints for the selected device
+     */
+    buildConstraints() {
+        if (!this.deviceId) {
+            return this.constraints;
+        }
+        
+        // An explicit device replaces the facing mode hint
+        const { facingMode, ...video } = this.constraints.video;
+        return {
+            ...this.constraints,
+            video: { ...video, deviceId: { exact: this.deviceId } }
+        };
+    }
+    
+    /**
+     * List available video input devices
+     * Labels are only populated once camera permission is granted
+     */
+    async listDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return [];
+        }
+        
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            return devices
+                .filter(device => device.kind === 'videoinput')
+                .map((device, index) => ({
+                    deviceId: device.deviceId,
+                    label: device.label || `Camera ${index + 1}`
+                }));
+        } catch (error) {
+            console.warn('Could not enumerate cameras:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Get the device id of the camera currently streaming
+     */
+    getActiveDeviceId() {
+        if (this.isUsingFile()) {
+            return null;
+        }
+        
+        const track = this.stream?.getVideoTracks()[0];
+        if (track && track.getSettings) {
+            return track.getSettings().deviceId || this.deviceId;
+        }
+        return this.deviceId;
+    }
+    
+    /**
+     * Switch to another camera without reloading
+     * Restores the previous camera if the new one fails to start
+     */
+    async switchDevice(deviceId) {
+        const previousDeviceId = this.deviceId;
+        
+        this.stopStream();
+        this.deviceId = deviceId || null;
+        
+        const result = await this.startStream();
+        
+        if (!result.success) {
+            console.warn('Camera switch failed:', result.reason);
+            this.stopStream();
+            this.deviceId = previousDeviceId;
+            await this.startStream();
+            return result;
+        }
+        
+        if (this.deviceId) {
+            savePreference(DEVICE_PREFERENCE_KEY, this.deviceId);
+        } else {
+            removePreference(DEVICE_PREFERENCE_KEY);
+        }
+        
+        // Picking a working camera also ends a disconnect
+        if (this.isLost) {
+            this.handleStreamRestored();
+        }
+        
+        return result;
+    }
+    
     /**
      * Start the video stream
      */
@@ -115,6 +254,7 @@ export class CameraManager {
                 this.previewElement.play().catch(() => {});
             }
             
+            this.attachTrackListeners();
             this.isReady = true;
             
             if (this.onReady) {
@@ -130,24 +270,246 @@ export class CameraManager {
         }
     }
     
+    /**
+     * Play a video file (File, Blob or URL) instead of the camera
+     * Loops through the same video element CV reads from
+     */
+    async startFileSource(source) {
+        if (!this.videoElement) {
+            return { success: false, reason: 'no_video_element' };
+        }
+        
+        // Release the camera (or a previous file) first
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.isLost = false;
+        this.stopStream();
+        
+        const isBlob = source instanceof Blob;
+        this.fileUrl = isBlob ? URL.createObjectURL(source) : source;
+        this.fileName = source.name || (isBlob ? 'video' : source.split('/').pop());
+        this.ownsFileUrl = isBlob;
+        this.sourceType = VideoSource.FILE;
+        
+        try {
+            await this.playFile(this.videoElement);
+            
+            if (this.previewElement) {
+                this.playFile(this.previewElement).catch(() => {});
+            }
+            
+            this.isReady = true;
+            
+            if (this.onReady) {
+                this.onReady(this.videoElement);
+            }
+            
+            return { success: true };
+        } catch (error) {
+            this.stopStream();
+            
+            if (this.onError) {
+                this.onError(error);
+            }
+            return { success: false, reason: 'file_error', error };
+        }
+    }
+    
+    /**
+     * Load the current file into a video element and start looping it
+     */
+    async playFile(element) {
+        element.srcObject = null;
+        element.src = this.fileUrl;
+        element.loop = true;
+        element.muted = true;
+        element.setAttribute('playsinline', 'true');
+        
+        await new Promise((resolve, reject) => {
+            element.onloadeddata = () => {
+                element.play()
+                    .then(resolve)
+                    .catch(reject);
+            };
+            element.onerror = () => reject(element.error || new Error('Video file failed to load'));
+            
+            // Timeout after 5 seconds
+            setTimeout(() => reject(new Error('Video load timeout')), 5000);
+        });
+    }
+    
+    /**
+     * Check if a video file is standing in for the camera
+     */
+    isUsingFile() {
+        return this.sourceType === VideoSource.FILE;
+    }
+    
     /**
      * Stop the video stream and cleanup
      */
     stopStream() {
+        this.detachTrackListeners();
+        
         if (this.stream) {
             this.stream.getTracks().forEach(track => track.stop());
             this.stream = null;
         }
         
-        if (this.videoElement) {
-            this.videoElement.srcObject = null;
+        for (const element of [this.videoElement, this.previewElement]) {
+            if (!element) continue;
+            
+            element.srcObject = null;
+            if (this.fileUrl) {
+                element.removeAttribute('src');
+                element.load();
+            }
+        }
+        
+        if (this.fileUrl && this.ownsFileUrl) {
+            URL.revokeObjectURL(this.fileUrl);
+        }
+        this.fileUrl = null;
+        this.fileName = null;
+        this.ownsFileUrl = false;
+        this.sourceType = VideoSource.CAMERA;
+        
+        this.isReady = false;
+    }
+    
+    /**
+     * Watch the video track for the camera going away
+     */
+    attachTrackListeners() {
+        for (const track of this.stream?.getVideoTracks() || []) {
+            track.addEventListener('ended', this.handleTrackEnded);
+            track.addEventListener('mute', this.handleTrackMute);
+            track.addEventListener('unmute', this.handleTrackUnmute);
+        }
+    }
+    
+    /**
+     * Stop watching the current video track
+     */
+    detachTrackListeners() {
+        for (const track of this.stream?.getVideoTracks() || []) {
+            track.removeEventListener('ended', this.handleTrackEnded);
+            track.removeEventListener('mute', this.handleTrackMute);
+            track.removeEventListener('unmute', this.handleTrackUnmute);
+        }
+    }
+    
+    /**
+     * Track ended (unplugged, revoked or taken by the OS)
+     */
+    handleTrackEnded() {
+        this.handleStreamLost('ended');
+    }
+    
+    /**
+     * Track muted (another app grabbed the camera or it was suspended)
+     */
+    handleTrackMute() {
+        this.handleStreamLost('muted');
+    }
+    
+    /**
+     * Track delivering frames again after a mute
+     */
+    handleTrackUnmute() {
+        if (this.isLost && this.lostReason === 'muted') {
+            this.handleStreamRestored();
+        }
+    }
+    
+    /**
+     * Camera plugged in or removed
+     */
+    handleDeviceChange() {
+        if (this.onDevicesChanged) {
+            this.onDevicesChanged();
         }
         
-        if (this.previewElement) {
-            this.previewElement.srcObject = null;
+        if (this.isLost) {
+            this.attemptReconnect();
+        }
+    }
+    
+    /**
+     * Mark the stream as lost and start trying to get it back
+     */
+    handleStreamLost(reason) {
+        if (this.isLost) {
+            return;
         }
         
+        this.isLost = true;
+        this.lostReason = reason;
         this.isReady = false;
+        
+        if (this.onDisconnect) {
+            this.onDisconnect(reason);
+        }
+        
+        this.scheduleReconnect();
+    }
+    
+    /**
+     * Stream is usable again
+     */
+    handleStreamRestored() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.isLost = false;
+        this.lostReason = null;
+        this.isReady = true;
+        
+        if (this.onReconnect) {
+            this.onReconnect();
+        }
+    }
+    
+    /**
+     * Queue the next reconnect attempt
+     */
+    scheduleReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.attemptReconnect(), this.reconnectInterval);
+    }
+    
+    /**
+     * Try to re-acquire the selected camera
+     */
+    async attemptReconnect() {
+        if (!this.isLost || this.isReconnecting) {
+            return;
+        }
+        
+        this.isReconnecting = true;
+        
+        try {
+            // Wait for the selected camera rather than silently picking another
+            const devices = await this.listDevices();
+            const available = this.deviceId ?
+                devices.some(device => device.deviceId === this.deviceId) :
+                devices.length > 0;
+            
+            if (available) {
+                this.stopStream();
+                const result = await this.startStream();
+                
+                if (result.success) {
+                    this.handleStreamRestored();
+                    return;
+                }
+            }
+        } finally {
+            this.isReconnecting = false;
+        }
+        
+        if (this.isLost) {
+            this.scheduleReconnect();
+        }
     }
     
     /**
@@ -194,11 +556,22 @@ export class CameraManager {
      * Cleanup resources
      */
     dispose() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.isLost = false;
+        
+        if (navigator.mediaDevices && navigator.mediaDevices.removeEventListener) {
+            navigator.mediaDevices.removeEventListener('devicechange', this.handleDeviceChange);
+        }
+        
         this.stopStream();
         this.videoElement = null;
         this.previewElement = null;
         this.onReady = null;
         this.onError = null;
         this.onPermissionDenied = null;
+        this.onDisconnect = null;
+        this.onReconnect = null;
+        this.onDevicesChanged = null;
     }
 }
@@ -0,0 +1,45 @@
+/**
+ * Commands - Game Command Constants
+ *
+ * Responsible for:
+ * - Naming the logical commands inputs are bound to
+ * - Naming the phases of command events
+ *
+ * Kept free of imports so game logic can use them without pulling in the input stack.
+ */
+
+// Game command constants
+export const Commands = {
+    MOVE_HORIZONTAL: 'MOVE_HORIZONTAL',
+    MOVE_VERTICAL: 'MOVE_VERTICAL',
+    MOVE_LEFT: 'MOVE_LEFT',
+    MOVE_RIGHT: 'MOVE_RIGHT',
+    MOVE_UP: 'MOVE_UP',
+    MOVE_DOWN: 'MOVE_DOWN',
+    MOVE_DEPTH: 'MOVE_DEPTH',
+    ACTION_PRIMARY: 'ACTION_PRIMARY',
+    DASH: 'DASH',
+    PAUSE: 'PAUSE',
+    RESTART: 'RESTART',
+    START: 'START',
+
+    // Split keyboard in two-player games
+    P1_MOVE_LEFT: 'P1_MOVE_LEFT',
+    P1_MOVE_RIGHT: 'P1_MOVE_RIGHT',
+    P1_MOVE_UP: 'P1_MOVE_UP',
+    P1_MOVE_DOWN: 'P1_MOVE_DOWN',
+    P1_MOVE_DEPTH: 'P1_MOVE_DEPTH',
+    P1_ACTION_PRIMARY: 'P1_ACTION_PRIMARY',
+    P2_MOVE_LEFT: 'P2_MOVE_LEFT',
+    P2_MOVE_RIGHT: 'P2_MOVE_RIGHT',
+    P2_MOVE_UP: 'P2_MOVE_UP',
+    P2_MOVE_DOWN: 'P2_MOVE_DOWN',
+    P2_MOVE_DEPTH: 'P2_MOVE_DEPTH',
+    P2_ACTION_PRIMARY: 'P2_ACTION_PRIMARY'
+};
+
+// Command event phases
+export const CommandPhase = {
+    PRESS: 'press',
+    RELEASE: 'release'
+};
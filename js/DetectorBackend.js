@@ -0,0 +1,69 @@
+/**
+ * DetectorBackend - Hand Detector Interface
+ *
+ * Responsible for:
+ * - Defining what CVEngine needs from a hand tracking model
+ * - Listing the available backend types
+ *
+ * A backend receives images through send() and reports landmark frames
+ * through onResults in the MediaPipe Hands shape:
+ *   { multiHandLandmarks: [[{ x, y, z }, ...21]], multiHandedness: [{ label, score }] }
+ * Handedness labels follow MediaPipe's mirrored-image convention.
+ * Gesture detection and drawing in CVEngine only ever see this shape.
+ */
+
+// Available backends
+export const DetectorBackendType = {
+    MEDIAPIPE_HANDS: 'hands',       // Legacy MediaPipe Hands solution (main thread)
+    HAND_LANDMARKER: 'landmarker',  // MediaPipe Tasks HandLandmarker (main thread)
+    WORKER: 'worker',               // HandLandmarker in a Web Worker
+    MOCK: 'mock'                    // Replays recorded landmark JSON
+};
+
+export class DetectorBackend {
+    constructor() {
+        // Called with each landmark frame
+        this.onResults = null;
+
+        // true if send() doesn't block the main thread while inferring
+        this.offMainThread = false;
+
+        // false if send() ignores the image (e.g. replayed data)
+        this.needsImage = true;
+    }
+
+    /**
+     * Load the model (throws on failure)
+     */
+    async init(options) {
+        throw new Error(`${this.constructor.name} does not implement init()`);
+    }
+
+    /**
+     * Detect hands in one image, resolves once its results were emitted
+     */
+    async send(image, timestamp) {
+        throw new Error(`${this.constructor.name} does not implement send()`);
+    }
+
+    /**
+     * Update tracking options (maxNumHands, confidences, modelComplexity)
+     */
+    setOptions(options) {}
+
+    /**
+     * Release the model
+     */
+    close() {
+        this.onResults = null;
+    }
+
+    /**
+     * Deliver a landmark frame to CVEngine
+     */
+    emit(frame) {
+        if (this.onResults) {
+            this.onResults(frame);
+        }
+    }
+}
@@ -2,41 +2,120 @@
  * FeatureProcessor - Signal Stabilization and Normalization
  * 
  * Responsible for:
- * - Smoothing raw CV position data (moving average)
- * - Gesture hysteresis (require consecutive frames)
- * - Normalizing coordinates to game space
+ * - Smoothing raw CV position data (One Euro, Kalman or moving average)
+ * - Estimating hand velocity and acceleration
+ * - Predicting position ahead by the pipeline latency (optional)
+ * - Gesture hysteresis (enter/exit thresholds, hold/release times, confidence gate)
+ * - Normalizing coordinates to game space (input range or calibrated transform)
+ * - Response curves, sensitivity and trackpad mode for movement
+ * - Estimating hand depth from apparent palm size
  * - Dead zone filtering to reduce jitter
+ * - Holding or gliding back to center when the hand is lost
+ * - Separate streams per hand when tracking two hands
  */
 
+import { FilterType, FILTER_DEFAULTS, DEFAULT_FILTER, createFilter } from './Filters.js';
+import { ResponseCurve } from './ResponseCurve.js';
+import { GestureTracker } from './GestureStateMachine.js';
+
+// What the position does while no hand is visible
+export const HandLostPolicy = {
+    HOLD: 'hold',       // Stay where the hand was last seen
+    CENTER: 'center',   // Glide back to center over glideMs
+    PAUSE: 'pause'      // Hold, and the app pauses the game after pauseAfterMs
+};
+
+// Camera-space area mapped to the full play area when uncalibrated
+export const DEFAULT_INPUT_RANGE = { minX: 0.1, maxX: 0.9, minY: 0.1, maxY: 0.9 };
+
 export class FeatureProcessor {
     constructor() {
-        // Position smoothing (moving average)
+        // Recent raw positions with timestamps (stability check)
         this.positionHistory = [];
         this.historySize = 5;
 
-        // Gesture hysteresis
+        // Position smoothing filter and per-filter parameters
+        this.filterType = DEFAULT_FILTER;
+        this.filterOptions = {};
+        for (const [type, defaults] of Object.entries(FILTER_DEFAULTS)) {
+            this.filterOptions[type] = { ...defaults };
+        }
+        this.filter = createFilter(this.filterType, this.filterOptions[this.filterType]);
+
+        // Motion estimate in normalized units per second
+        this.motionSmoothing = 0.5; // EMA factor
+        this.motion = this.createMotion();
+
+        // Latency compensation: extrapolate along the velocity by the pipeline delay
+        this.prediction = {
+            enabled: false,
+            latency: null,          // ms; null = measured inference + displayLatency
+            displayLatency: 50,     // ms after inference (render, platform easing)
+            maxLatency: 150,        // ms; never look further ahead than this
+            maxOffset: 0.15,        // Normalized units per axis
+            minSpeed: 0.2           // Normalized units/s; slower motion is jitter
+        };
+        this.latencySmoothing = 0.1; // EMA factor
+        this.estimatedLatency = null;
+
+        // Hand lost behavior
+        this.handLost = { policy: HandLostPolicy.HOLD, glideMs: 800, pauseAfterMs: 2000 };
+        this.lostSince = null;      // Date.now() when the hand disappeared
+        this.lostFrom = null;       // Position at that moment
+
+        // Gesture hysteresis - state machines on CVEngine's gesture scores,
+        // majority vote over the last frames for results without scores
+        this.gestureTracker = new GestureTracker();
+        this.gestureTracker.onStart = (event) => this.emitGesture(this.onGestureStart, event);
+        this.gestureTracker.onEnd = (event) => this.emitGesture(this.onGestureEnd, event);
         this.gestureBuffer = [];
         this.gestureBufferSize = 3;
         this.currentGesture = 'none';
 
+        // Callbacks ({ gesture, timestamp, strength | duration, hand? })
+        this.onGestureStart = null;
+        this.onGestureEnd = null;
+
         // Dead zone configuration
-        this.deadZone = 0.02; // Minimum movement to register
+        this.deadZone = 0.02; // Minimum movement to register (moving average only)
         this.lastPosition = { x: 0.5, y: 0.5 };
 
         // Normalization mapping (camera space to game space)
         // Camera: 0-1 (left-right), 0-1 (top-bottom)
         // Game: -1 to 1 (left-right), -1 to 1 (back-front)
-        this.inputRange = { minX: 0.1, maxX: 0.9, minY: 0.1, maxY: 0.9 };
+        this.inputRange = { ...DEFAULT_INPUT_RANGE };
+
+        // Calibrated affine map [a, b, c, d, e, f] (x' = ax + by + c, y' = dx + ey + f)
+        // Replaces inputRange when set, so it can also correct rotation and skew
+        this.transform = null;
+
+        // Curve, sensitivity, inversion and absolute/trackpad mode
+        this.response = new ResponseCurve();
+
+        // Depth from palm size: `far` is a resting hand (0), `near` fully pushed in (1)
+        this.depthRange = { far: 0.15, near: 0.35 };
+        this.depthSmoothing = 0.3;  // EMA factor
+        this.smoothedPalmSize = null;
 
         // Output state
         this.processedData = {
             normalizedX: 0,
             normalizedY: 0,
+            normalizedZ: 0,
             gesture: 'none',
             isStable: false,
             confidence: 0,
-            rawPosition: { x: 0.5, y: 0.5 }
+            rawPosition: { x: 0.5, y: 0.5 },
+            velocity: { x: 0, y: 0 },
+            acceleration: { x: 0, y: 0 },
+            prediction: { x: 0, y: 0 },
+            latency: 0,
+            handLost: false,
+            lostMs: 0
         };
+
+        // Per-hand streams (two-hand mode), created on first sight
+        this.handStreams = new Map();
     }
 
     /**
@@ -49,53 +128,118 @@ export class FeatureProcessor {
             return this.processedData;
         }
 
+        const timestamp = Date.now();
+        this.lostSince = null;
+
         // Smooth position
-        const smoothedPosition = this.smoothPosition(cvResults.position);
+        const smoothedPosition = this.smoothPosition(cvResults.position, timestamp);
 
-        // Apply dead zone
-        const filteredPosition = this.applyDeadZone(smoothedPosition);
+        // Apply dead zone (the adaptive filters handle jitter themselves)
+        const filteredPosition = this.filterType === FilterType.MOVING_AVERAGE ?
+            this.applyDeadZone(smoothedPosition) :
+            smoothedPosition;
 
         // Normalize to game space (-1 to 1)
-        const normalizedX = this.normalize(
-            filteredPosition.x,
-            this.inputRange.minX,
-            this.inputRange.maxX,
-            false  // Natural: hand right = platform right
-        );
-
-        const normalizedY = this.normalize(
-            filteredPosition.y,
-            this.inputRange.minY,
-            this.inputRange.maxY,
-            false
-        );
+        const { x: normalizedX, y: normalizedY } = this.toGameSpace(filteredPosition);
+
+        // Depth (0 = resting distance, 1 = pushed toward the camera)
+        const normalizedZ = this.processDepth(cvResults.palmSize);
+
+        // Velocity and acceleration of the normalized position
+        this.updateMotion(normalizedX, normalizedY, timestamp);
+
+        // Look ahead by the time the frame spent in the pipeline
+        const latency = this.estimateLatency(cvResults.inferenceLatency);
+        const prediction = this.predictOffset(latency);
 
         // Process gesture with hysteresis
-        const stableGesture = this.processGesture(cvResults.gesture);
+        const stableGesture = cvResults.gestureScores ?
+            this.trackGesture(cvResults.gestureScores, cvResults.confidence, timestamp) :
+            this.processGesture(cvResults.gesture);
+
+        // Shape into the final platform position
+        const output = this.response.apply({
+            x: Math.max(-1, Math.min(1, normalizedX + prediction.x)),
+            y: Math.max(-1, Math.min(1, normalizedY + prediction.y))
+        }, timestamp);
 
         // Update output
         this.processedData = {
-            normalizedX: normalizedX,
-            normalizedY: normalizedY,
+            normalizedX: output.x,
+            normalizedY: output.y,
+            normalizedZ: normalizedZ,
             gesture: stableGesture,
             isStable: this.isPositionStable(),
             confidence: cvResults.confidence,
             rawPosition: cvResults.position,
-            gestureStrength: cvResults.gestureStrength || 1
+            gestureStrength: cvResults.gestureStrength || 1,
+            velocity: { ...this.motion.velocity },
+            acceleration: { ...this.motion.acceleration },
+            prediction: prediction,
+            latency: latency,
+            handLost: false,
+            lostMs: 0
         };
 
         return this.processedData;
     }
 
     /**
-     * Smooth position using moving average
+     * Process every detected hand into its own stream
+     * Returns processed data keyed by hand (handedness by default)
      */
-    smoothPosition(position) {
+    processHands(cvResults, keyOf = (hand) => hand.handedness) {
+        const hands = (cvResults && cvResults.hands) || [];
+        const output = {};
+
+        for (const hand of hands) {
+            const key = keyOf(hand);
+
+            // Two hands with the same key - keep the first
+            if (!key || output[key]) continue;
+
+            output[key] = this.getHandStream(key).process({
+                ...hand,
+                inferenceLatency: cvResults.inferenceLatency
+            });
+        }
+
+        // Hands that dropped out decay like a lost single hand
+        for (const [key, stream] of this.handStreams) {
+            if (!output[key]) {
+                output[key] = stream.process(null);
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Get (or create) the processor for one hand
+     */
+    getHandStream(key) {
+        let stream = this.handStreams.get(key);
+
+        if (!stream) {
+            stream = new FeatureProcessor();
+            stream.configure(this.getConfiguration());
+            stream.onGestureStart = (event) => this.emitGesture(this.onGestureStart, { ...event, hand: key });
+            stream.onGestureEnd = (event) => this.emitGesture(this.onGestureEnd, { ...event, hand: key });
+            this.handStreams.set(key, stream);
+        }
+
+        return stream;
+    }
+
+    /**
+     * Smooth position with the selected filter
+     */
+    smoothPosition(position, timestamp = Date.now()) {
         // Add to history
         this.positionHistory.push({
             x: position.x,
             y: position.y,
-            timestamp: Date.now()
+            timestamp: timestamp
         });
 
         // Remove old entries
@@ -103,21 +247,100 @@ export class FeatureProcessor {
             this.positionHistory.shift();
         }
 
-        // Calculate weighted average (newer samples have more weight)
-        let totalWeight = 0;
-        let avgX = 0;
-        let avgY = 0;
+        return this.filter.filter(position, timestamp);
+    }
+
+    /**
+     * Switch the smoothing filter
+     */
+    setFilterType(type) {
+        this.filterType = Object.values(FilterType).includes(type) ? type : DEFAULT_FILTER;
+        this.filter = createFilter(this.filterType, this.filterOptions[this.filterType]);
+        this.motion = this.createMotion();
+    }
 
-        for (let i = 0; i < this.positionHistory.length; i++) {
-            const weight = (i + 1) / this.positionHistory.length;
-            avgX += this.positionHistory[i].x * weight;
-            avgY += this.positionHistory[i].y * weight;
-            totalWeight += weight;
+    /**
+     * Empty motion estimate
+     */
+    createMotion() {
+        return {
+            velocity: { x: 0, y: 0 },
+            acceleration: { x: 0, y: 0 },
+            lastPosition: null,
+            lastTimestamp: 0
+        };
+    }
+
+    /**
+     * Differentiate the normalized position (smoothed with an EMA)
+     */
+    updateMotion(x, y, timestamp) {
+        const motion = this.motion;
+
+        if (motion.lastPosition) {
+            const dt = (timestamp - motion.lastTimestamp) / 1000;
+
+            if (dt > 0) {
+                const k = this.motionSmoothing;
+                const vx = (x - motion.lastPosition.x) / dt;
+                const vy = (y - motion.lastPosition.y) / dt;
+                const newVelocity = {
+                    x: motion.velocity.x + (vx - motion.velocity.x) * k,
+                    y: motion.velocity.y + (vy - motion.velocity.y) * k
+                };
+
+                const ax = (newVelocity.x - motion.velocity.x) / dt;
+                const ay = (newVelocity.y - motion.velocity.y) / dt;
+                motion.acceleration = {
+                    x: motion.acceleration.x + (ax - motion.acceleration.x) * k,
+                    y: motion.acceleration.y + (ay - motion.acceleration.y) * k
+                };
+                motion.velocity = newVelocity;
+            }
+        }
+
+        motion.lastPosition = { x, y };
+        motion.lastTimestamp = timestamp;
+    }
+
+    /**
+     * Estimated capture-to-screen delay in ms (configured, or measured and smoothed)
+     */
+    estimateLatency(inferenceLatency) {
+        const { latency, displayLatency, maxLatency } = this.prediction;
+
+        if (latency !== null) {
+            return Math.min(latency, maxLatency);
+        }
+
+        if (inferenceLatency !== undefined) {
+            const measured = inferenceLatency + displayLatency;
+            this.estimatedLatency = this.estimatedLatency === null ?
+                measured :
+                this.estimatedLatency + (measured - this.estimatedLatency) * this.latencySmoothing;
         }
 
+        return Math.min(this.estimatedLatency ?? displayLatency, maxLatency);
+    }
+
+    /**
+     * Offset to add to the normalized position, clamped so it can't overshoot
+     */
+    predictOffset(latency) {
+        const { enabled, maxOffset, minSpeed } = this.prediction;
+        const velocity = this.motion.velocity;
+        const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+
+        if (!enabled || speed < minSpeed) {
+            return { x: 0, y: 0 };
+        }
+
+        const seconds = latency / 1000;
+        const clamp = (value) => Math.max(-maxOffset, Math.min(maxOffset, value));
+
         return {
-            x: avgX / totalWeight,
-            y: avgY / totalWeight
+            x: clamp(velocity.x * seconds),
+            y: clamp(velocity.y * seconds)
         };
     }
 
@@ -139,6 +362,36 @@ export class FeatureProcessor {
         return position;
     }
 
+    /**
+     * Map a camera-space position to game space with the calibration or input range
+     */
+    toGameSpace(position) {
+        if (this.transform) {
+            const [a, b, c, d, e, f] = this.transform;
+            const clamp = (value) => Math.max(-1, Math.min(1, value));
+
+            return {
+                x: clamp(a * position.x + b * position.y + c),
+                y: clamp(d * position.x + e * position.y + f)
+            };
+        }
+
+        return {
+            x: this.normalize(
+                position.x,
+                this.inputRange.minX,
+                this.inputRange.maxX,
+                false  // Natural: hand right = platform right
+            ),
+            y: this.normalize(
+                position.y,
+                this.inputRange.minY,
+                this.inputRange.maxY,
+                false
+            )
+        };
+    }
+
     /**
      * Normalize value from input range to -1 to 1
      */
@@ -159,7 +412,39 @@ export class FeatureProcessor {
     }
 
     /**
-     * Process gesture with hysteresis
+     * Smooth palm size and map it to 0-1 depth
+     */
+    processDepth(palmSize) {
+        if (palmSize === undefined) {
+            return 0;
+        }
+
+        this.smoothedPalmSize = this.smoothedPalmSize === null ?
+            palmSize :
+            this.smoothedPalmSize + (palmSize - this.smoothedPalmSize) * this.depthSmoothing;
+
+        const { far, near } = this.depthRange;
+        const depth = (this.smoothedPalmSize - far) / (near - far);
+
+        return Math.max(0, Math.min(1, depth));
+    }
+
+    /**
+     * Run the gesture state machines on this frame's scores
+     */
+    trackGesture(scores, confidence, timestamp) {
+        this.currentGesture = this.gestureTracker.update(scores, confidence, timestamp);
+        return this.currentGesture;
+    }
+
+    emitGesture(callback, event) {
+        if (callback) {
+            callback(event);
+        }
+    }
+
+    /**
+     * Process gesture with hysteresis (majority vote, for results without scores)
      */
     processGesture(gesture) {
         // Add to buffer
@@ -226,12 +511,19 @@ export class FeatureProcessor {
      * Decay position and gesture when hand not detected
      */
     decay() {
+        const now = Date.now();
+
+        // Held gestures run out their release time
+        const held = this.gestureTracker.update({}, 1, now);
+
         // Clear gesture buffer gradually
         if (this.gestureBuffer.length > 0) {
             this.gestureBuffer.shift();
         }
 
-        if (this.gestureBuffer.length === 0) {
+        if (held !== 'open') {
+            this.currentGesture = held;
+        } else if (this.gestureBuffer.length === 0) {
             this.currentGesture = 'none';
         }
 
@@ -240,6 +532,39 @@ export class FeatureProcessor {
             this.positionHistory.shift();
         }
 
+        // Lower the depth axis back to rest
+        this.processedData.normalizedZ = (this.processedData.normalizedZ || 0) * 0.9;
+        this.smoothedPalmSize = null;
+
+        // Start smoothing and motion afresh when the hand returns
+        this.filter.reset();
+        this.response.release();
+        this.motion = this.createMotion();
+        this.processedData.velocity = { x: 0, y: 0 };
+        this.processedData.acceleration = { x: 0, y: 0 };
+        this.processedData.prediction = { x: 0, y: 0 };
+
+        // Hold or glide back to center
+        if (this.lostSince === null) {
+            this.lostSince = now;
+            this.lostFrom = { x: this.processedData.normalizedX, y: this.processedData.normalizedY };
+        }
+
+        const lostMs = now - this.lostSince;
+
+        if (this.handLost.policy === HandLostPolicy.CENTER) {
+            const t = Math.min(1, lostMs / this.handLost.glideMs);
+            const remaining = 1 - t * t * (3 - 2 * t); // Smoothstep ease
+            const position = { x: this.lostFrom.x * remaining, y: this.lostFrom.y * remaining };
+
+            this.processedData.normalizedX = position.x;
+            this.processedData.normalizedY = position.y;
+            this.response.moveTo(position);
+        }
+
+        this.processedData.handLost = true;
+        this.processedData.lostMs = lostMs;
+
         // Update output with decay
         this.processedData.gesture = this.currentGesture;
         this.processedData.confidence = 0;
@@ -253,22 +578,91 @@ export class FeatureProcessor {
         return this.processedData;
     }
 
+    /**
+     * Get current configuration (same shape configure() accepts)
+     */
+    getConfiguration() {
+        return {
+            historySize: this.historySize,
+            gestureBufferSize: this.gestureBufferSize,
+            gestureThresholds: JSON.parse(JSON.stringify(this.gestureTracker.thresholds)),
+            minHandConfidence: this.gestureTracker.minHandConfidence,
+            deadZone: this.deadZone,
+            inputRange: { ...this.inputRange },
+            transform: this.transform ? [...this.transform] : null,
+            depthRange: { ...this.depthRange },
+            depthSmoothing: this.depthSmoothing,
+            filterType: this.filterType,
+            filters: JSON.parse(JSON.stringify(this.filterOptions)),
+            motionSmoothing: this.motionSmoothing,
+            prediction: { ...this.prediction },
+            response: this.response.getSettings(),
+            handLost: { ...this.handLost }
+        };
+    }
+
     /**
      * Update configuration
      */
     configure(options) {
         if (options.historySize !== undefined) {
             this.historySize = options.historySize;
+            this.filterOptions[FilterType.MOVING_AVERAGE].size = options.historySize;
+        }
+        if (options.filters !== undefined) {
+            // e.g. { oneEuro: { minCutoff: 1, beta: 5 }, kalman: { processNoise: 4 } }
+            for (const [type, params] of Object.entries(options.filters)) {
+                if (this.filterOptions[type]) {
+                    Object.assign(this.filterOptions[type], params);
+                }
+            }
+        }
+        if (options.filterType !== undefined) {
+            this.setFilterType(options.filterType);
+        } else {
+            this.filter.configure(this.filterOptions[this.filterType]);
+        }
+        if (options.motionSmoothing !== undefined) {
+            this.motionSmoothing = options.motionSmoothing;
+        }
+        if (options.prediction !== undefined) {
+            this.prediction = { ...this.prediction, ...options.prediction };
+        }
+        if (options.handLost !== undefined) {
+            this.handLost = { ...this.handLost, ...options.handLost };
+        }
+        if (options.response !== undefined) {
+            this.response.configure(options.response);
         }
         if (options.gestureBufferSize !== undefined) {
             this.gestureBufferSize = options.gestureBufferSize;
         }
+        if (options.gestureThresholds !== undefined || options.minHandConfidence !== undefined) {
+            // e.g. { gestureThresholds: { pinch: { enter: 0.55, exit: 0.3, minReleaseMs: 200 } } }
+            this.gestureTracker.configure({
+                thresholds: options.gestureThresholds,
+                minHandConfidence: options.minHandConfidence
+            });
+        }
         if (options.deadZone !== undefined) {
             this.deadZone = options.deadZone;
         }
         if (options.inputRange !== undefined) {
             this.inputRange = { ...this.inputRange, ...options.inputRange };
         }
+        if (options.transform !== undefined) {
+            this.transform = options.transform ? [...options.transform] : null;
+        }
+        if (options.depthRange !== undefined) {
+            this.depthRange = { ...this.depthRange, ...options.depthRange };
+        }
+        if (options.depthSmoothing !== undefined) {
+            this.depthSmoothing = options.depthSmoothing;
+        }
+
+        for (const stream of this.handStreams.values()) {
+            stream.configure(options);
+        }
     }
 
     /**
@@ -276,17 +670,35 @@ export class FeatureProcessor {
      */
     reset() {
         this.positionHistory = [];
+        this.gestureTracker.reset();
         this.gestureBuffer = [];
         this.currentGesture = 'none';
         this.lastPosition = { x: 0.5, y: 0.5 };
+        this.smoothedPalmSize = null;
+        this.filter.reset();
+        this.response.reset();
+        this.motion = this.createMotion();
+        this.estimatedLatency = null;
+        this.lostSince = null;
         this.processedData = {
             normalizedX: 0,
             normalizedY: 0,
+            normalizedZ: 0,
             gesture: 'none',
             isStable: false,
             confidence: 0,
-            rawPosition: { x: 0.5, y: 0.5 }
+            rawPosition: { x: 0.5, y: 0.5 },
+            velocity: { x: 0, y: 0 },
+            acceleration: { x: 0, y: 0 },
+            prediction: { x: 0, y: 0 },
+            latency: 0,
+            handLost: false,
+            lostMs: 0
         };
+        for (const stream of this.handStreams.values()) {
+            stream.reset();
+        }
+        this.handStreams.clear();
     }
 
     /**
@@ -294,5 +706,7 @@ export class FeatureProcessor {
      */
     dispose() {
         this.reset();
+        this.onGestureStart = null;
+        this.onGestureEnd = null;
     }
 }
@@ -0,0 +1,219 @@
+/**
+ * Filters - 2D Position Smoothing Filters
+ *
+ * Responsible for:
+ * - Weighted moving average (the original smoothing)
+ * - One Euro filter (adaptive cutoff: smooth when slow, responsive when fast)
+ * - Constant-velocity Kalman filter
+ *
+ * Every filter takes { x, y } samples with a millisecond timestamp and
+ * returns the filtered { x, y }. Options can be changed with configure().
+ */
+
+// Available filters
+export const FilterType = {
+    MOVING_AVERAGE: 'movingAverage',
+    ONE_EURO: 'oneEuro',
+    KALMAN: 'kalman'
+};
+
+// Default parameters per filter (positions are in 0-1 camera space)
+export const FILTER_DEFAULTS = {
+    [FilterType.MOVING_AVERAGE]: { size: 5 },
+    [FilterType.ONE_EURO]: { minCutoff: 1.5, beta: 10, dCutoff: 1 },
+    [FilterType.KALMAN]: { processNoise: 2, measurementNoise: 0.0004 }
+};
+
+// Filter used when none (or an unknown one) is chosen
+export const DEFAULT_FILTER = FilterType.ONE_EURO;
+
+/**
+ * Build a filter by type (unknown types get DEFAULT_FILTER)
+ */
+export function createFilter(type, options = {}) {
+    switch (type) {
+        case FilterType.MOVING_AVERAGE:
+            return new MovingAverageFilter(options);
+        case FilterType.KALMAN:
+            return new KalmanFilter(options);
+        default:
+            return new OneEuroFilter(options);
+    }
+}
+
+/**
+ * Frame-count weighted moving average (newer samples weigh more)
+ */
+export class MovingAverageFilter {
+    constructor(options = {}) {
+        this.size = FILTER_DEFAULTS[FilterType.MOVING_AVERAGE].size;
+        this.samples = [];
+        this.configure(options);
+    }
+
+    filter(position) {
+        this.samples.push({ x: position.x, y: position.y });
+
+        while (this.samples.length > this.size) {
+            this.samples.shift();
+        }
+
+        let totalWeight = 0;
+        let avgX = 0;
+        let avgY = 0;
+
+        for (let i = 0; i < this.samples.length; i++) {
+            const weight = (i + 1) / this.samples.length;
+            avgX += this.samples[i].x * weight;
+            avgY += this.samples[i].y * weight;
+            totalWeight += weight;
+        }
+
+        return {
+            x: avgX / totalWeight,
+            y: avgY / totalWeight
+        };
+    }
+
+    configure(options) {
+        if (options.size !== undefined) this.size = Math.max(1, options.size);
+    }
+
+    reset() {
+        this.samples = [];
+    }
+}
+
+/**
+ * One Euro filter (Casiez et al. 2012), one low-pass per axis whose
+ * cutoff rises with speed
+ */
+export class OneEuroFilter {
+    constructor(options = {}) {
+        Object.assign(this, FILTER_DEFAULTS[FilterType.ONE_EURO]);
+        this.configure(options);
+        this.reset();
+    }
+
+    filter(position, timestamp) {
+        if (this.lastTimestamp === null) {
+            this.lastTimestamp = timestamp;
+            this.value = { x: position.x, y: position.y };
+            this.derivative = { x: 0, y: 0 };
+            return { ...this.value };
+        }
+
+        // Seconds since the last sample (guard against duplicate timestamps)
+        const dt = Math.max((timestamp - this.lastTimestamp) / 1000, 0.001);
+        this.lastTimestamp = timestamp;
+
+        for (const axis of ['x', 'y']) {
+            const rawDerivative = (position[axis] - this.value[axis]) / dt;
+            this.derivative[axis] = this.lowPass(this.derivative[axis], rawDerivative, this.alpha(this.dCutoff, dt));
+
+            const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative[axis]);
+            this.value[axis] = this.lowPass(this.value[axis], position[axis], this.alpha(cutoff, dt));
+        }
+
+        return { ...this.value };
+    }
+
+    alpha(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    lowPass(previous, current, alpha) {
+        return previous + alpha * (current - previous);
+    }
+
+    configure(options) {
+        if (options.minCutoff !== undefined) this.minCutoff = options.minCutoff;
+        if (options.beta !== undefined) this.beta = options.beta;
+        if (options.dCutoff !== undefined) this.dCutoff = options.dCutoff;
+    }
+
+    reset() {
+        this.lastTimestamp = null;
+        this.value = null;
+        this.derivative = null;
+    }
+}
+
+/**
+ * Kalman filter with a constant-velocity model, independent per axis
+ * State is [position, velocity]; only position is measured
+ */
+export class KalmanFilter {
+    constructor(options = {}) {
+        Object.assign(this, FILTER_DEFAULTS[FilterType.KALMAN]);
+        this.configure(options);
+        this.reset();
+    }
+
+    filter(position, timestamp) {
+        if (this.lastTimestamp === null) {
+            this.lastTimestamp = timestamp;
+            this.axes = {
+                x: this.createAxis(position.x),
+                y: this.createAxis(position.y)
+            };
+            return { x: position.x, y: position.y };
+        }
+
+        const dt = Math.max((timestamp - this.lastTimestamp) / 1000, 0.001);
+        this.lastTimestamp = timestamp;
+
+        return {
+            x: this.step(this.axes.x, position.x, dt),
+            y: this.step(this.axes.y, position.y, dt)
+        };
+    }
+
+    createAxis(position) {
+        // Covariance starts uncertain about velocity
+        return { p: position, v: 0, P: [[this.measurementNoise, 0], [0, 1]] };
+    }
+
+    /**
+     * Predict with the velocity, then correct with the measurement
+     */
+    step(axis, measurement, dt) {
+        const q = this.processNoise;
+        const [[p00, p01], [p10, p11]] = axis.P;
+
+        // Predict (white-noise acceleration model)
+        const p = axis.p + axis.v * dt;
+        const v = axis.v;
+        const dt2 = dt * dt;
+        const P00 = p00 + dt * (p10 + p01) + dt2 * p11 + q * dt2 * dt2 / 4;
+        const P01 = p01 + dt * p11 + q * dt2 * dt / 2;
+        const P10 = p10 + dt * p11 + q * dt2 * dt / 2;
+        const P11 = p11 + q * dt2;
+
+        // Update
+        const innovation = measurement - p;
+        const S = P00 + this.measurementNoise;
+        const K0 = P00 / S;
+        const K1 = P10 / S;
+
+        axis.p = p + K0 * innovation;
+        axis.v = v + K1 * innovation;
+        axis.P = [
+            [(1 - K0) * P00, (1 - K0) * P01],
+            [P10 - K1 * P00, P11 - K1 * P01]
+        ];
+
+        return axis.p;
+    }
+
+    configure(options) {
+        if (options.processNoise !== undefined) this.processNoise = options.processNoise;
+        if (options.measurementNoise !== undefined) this.measurementNoise = options.measurementNoise;
+    }
+
+    reset() {
+        this.lastTimestamp = null;
+        this.axes = null;
+    }
+}
@@ -7,10 +7,16 @@
  * - Score tracking and combo system
  * - Collision detection coordination
  * - Difficulty progression
+ * - Local two-player (co-op / versus) sessions
+ * - Optional depth axis (platform altitude or speed boost)
+ * - Seeded spawning, so a game replays exactly from its seed and inputs
  * 
  * INPUT-SOURCE AGNOSTIC: Only receives commands from InputMapper
  */
 
+import { Commands, CommandPhase } from './Commands.js';
+import { SeededRandom } from './SeededRandom.js';
+
 // Game states
 export const GameState = {
     MENU: 'MENU',
@@ -19,6 +25,20 @@ export const GameState = {
     GAME_OVER: 'GAME_OVER'
 };
 
+// Game modes
+export const GameMode = {
+    SINGLE: 'SINGLE',
+    CO_OP: 'CO_OP',     // shared team score, game ends when everyone is out
+    VERSUS: 'VERSUS'    // separate scores, first player knocked out loses
+};
+
+// What pushing the hand toward the camera does
+export const DepthMode = {
+    OFF: 'off',
+    ALTITUDE: 'altitude',   // Raise the platform to catch orbs higher up
+    BOOST: 'boost'          // Move faster
+};
+
 // Entity types
 export const EntityType = {
     ORB: 'ORB',
@@ -31,29 +51,18 @@ export class GameController {
         // Game state
         this.state = GameState.MENU;
         this.previousState = null;
+        this.mode = GameMode.SINGLE;
 
-        // Player state
-        this.player = {
-            x: 0,           // -5 to 5 (game units)
-            z: 0,           // -5 to 5 (game units)
-            targetX: 0,
-            targetZ: 0,
-            shieldActive: false,
-            shieldEnergy: 1.0,  // 0 to 1
-            shieldRechargeRate: 0.2,  // per second
-            shieldDrainRate: 0.5      // per second when active
-        };
-
-        // Scoring
-        this.score = 0;
-        this.combo = 1;
-        this.maxCombo = 1;
-        this.orbsCaught = 0;
+        // Player state (one entry per platform)
+        this.players = [this.createPlayer(0)];
 
         // Entities (orbs, hazards)
         this.entities = [];
         this.entityIdCounter = 0;
 
+        // Every random spawn comes from here (reseeded each game)
+        this.random = new SeededRandom();
+
         // Spawning configuration
         this.spawnConfig = {
             orbInterval: 1.5,     // seconds
@@ -76,6 +85,7 @@ export class GameController {
 
         // Callbacks (for Renderer)
         this.onStateChange = null;
+        this.onGameStart = null;        // (seed) when a new game begins
         this.onEntitySpawn = null;
         this.onEntityRemove = null;
         this.onScoreUpdate = null;
@@ -84,6 +94,7 @@ export class GameController {
         this.onPlayerMove = null;
         this.onOrbCatch = null;
         this.onHazardHit = null;
+        this.onPlayerEliminated = null;
 
         // Play area bounds
         this.bounds = {
@@ -95,6 +106,25 @@ export class GameController {
 
         // Player movement
         this.playerSpeed = 15; // units per second (for smooth movement)
+
+        // Dash (swipe gesture burst)
+        this.dashConfig = {
+            speed: 30,      // units per second
+            duration: 0.15, // seconds
+            cooldown: 0.6   // seconds
+        };
+
+        // Depth axis
+        this.depthMode = DepthMode.OFF;
+        this.depthConfig = {
+            maxAltitude: 4,         // Platform height at full depth
+            climbSpeed: 8,          // units per second
+            boostMultiplier: 2,     // Movement speed at full depth
+            hoverChance: 0.35,      // Share of orbs that hover (altitude mode)
+            hoverMinHeight: 1.5,
+            hoverDuration: 4,       // seconds before a hovering orb drops
+            hoverPoints: 150
+        };
     }
 
     /**
@@ -105,6 +135,77 @@ export class GameController {
         return this;
     }
 
+    /**
+     * Create a fresh player state
+     */
+    createPlayer(index) {
+        // Two players start side by side
+        const startX = this.mode === GameMode.SINGLE ? 0 : (index === 0 ? 2.5 : -2.5);
+
+        return {
+            index: index,
+            x: startX,      // -5 to 5 (game units)
+            y: 0,           // 0 to maxAltitude (altitude mode)
+            z: 0,           // -5 to 5 (game units)
+            targetX: startX,
+            targetZ: 0,
+            shieldActive: false,
+            shieldEnergy: 1.0,  // 0 to 1
+            shieldRechargeRate: 0.2,  // per second
+            shieldDrainRate: 0.5,     // per second when active
+            score: 0,
+            combo: 1,
+            maxCombo: 1,
+            orbsCaught: 0,
+            eliminated: false,
+            dashTimer: 0,       // seconds left in current dash
+            dashCooldown: 0,    // seconds until next dash allowed
+            dashDirection: { x: 0, z: 0 }
+        };
+    }
+
+    /**
+     * First player (single-player convenience)
+     */
+    get player() {
+        return this.players[0];
+    }
+
+    /**
+     * Select single, co-op or versus (only outside of a running game)
+     */
+    setMode(mode) {
+        if (this.state === GameState.PLAYING || this.state === GameState.PAUSED) {
+            return false;
+        }
+
+        this.mode = GameMode[mode] || GameMode.SINGLE;
+        this.reset();
+        return true;
+    }
+
+    /**
+     * Choose what the depth axis does
+     */
+    setDepthMode(mode) {
+        this.depthMode = Object.values(DepthMode).includes(mode) ? mode : DepthMode.OFF;
+
+        // Back to the ground when altitude no longer applies
+        if (this.depthMode !== DepthMode.ALTITUDE) {
+            for (const player of this.players) {
+                player.y = 0;
+                this.notifyPlayerMove(player);
+            }
+        }
+    }
+
+    /**
+     * Number of players in the current mode
+     */
+    getPlayerCount() {
+        return this.mode === GameMode.SINGLE ? 1 : 2;
+    }
+
     /**
      * Update game logic (called every frame)
      * @param {number} deltaTime - Time since last frame in seconds
@@ -112,27 +213,23 @@ export class GameController {
      */
     update(deltaTime, input) {
         if (this.state !== GameState.PLAYING) {
-            this.handleMenuInput(input);
             return;
         }
 
-        // Handle pause
-        if (input.pause) {
-            this.pause();
-            return;
-        }
+        // Update each player from their own input
+        const playerInputs = this.getPlayerInputs(input);
 
-        // Handle restart (during gameplay)
-        if (input.restart) {
-            this.restart();
-            return;
-        }
+        for (const player of this.players) {
+            if (player.eliminated) continue;
 
-        // Update player position based on input
-        this.updatePlayer(deltaTime, input);
+            const playerInput = playerInputs[player.index];
 
-        // Update shield
-        this.updateShield(deltaTime, input.actionPrimary);
+            // Update player position based on input
+            this.updatePlayer(player, deltaTime, playerInput);
+
+            // Update shield
+            this.updateShield(player, deltaTime, playerInput.actionPrimary);
+        }
 
         // Update entities
         this.updateEntities(deltaTime);
@@ -148,91 +245,190 @@ export class GameController {
     }
 
     /**
-     * Handle input in menu states
+     * Handle a command event from InputMapper (pause, restart, start)
+     * Acting on presses as they arrive means none are lost between frames
      */
-    handleMenuInput(input) {
+    handleCommand(event) {
+        if (event.phase !== CommandPhase.PRESS) {
+            return;
+        }
+
+        const { command } = event;
+
         switch (this.state) {
             case GameState.MENU:
-                if (input.start || input.actionPrimary) {
+                if (command === Commands.START || command === Commands.ACTION_PRIMARY) {
                     this.startGame();
                 }
                 break;
 
+            case GameState.PLAYING:
+                if (command === Commands.PAUSE) {
+                    this.pause();
+                } else if (command === Commands.RESTART) {
+                    this.restart();
+                }
+                break;
+
             case GameState.PAUSED:
-                if (input.pause) {
+                if (command === Commands.PAUSE) {
                     this.resume();
-                }
-                if (input.restart) {
+                } else if (command === Commands.RESTART) {
                     this.restart();
                 }
                 break;
 
             case GameState.GAME_OVER:
-                if (input.restart || input.start) {
+                if (command === Commands.RESTART || command === Commands.START) {
                     this.restart();
                 }
                 break;
         }
     }
 
+    /**
+     * Split input into one entry per player
+     * Multiplayer input carries `players`; a missing player stands still
+     */
+    getPlayerInputs(input) {
+        if (this.players.length === 1) {
+            return [input];
+        }
+
+        const idle = { horizontal: 0, vertical: 0, depth: 0, actionPrimary: false };
+        const perPlayer = input.players || [input];
+
+        return this.players.map((player, index) => perPlayer[index] || idle);
+    }
+
     /**
      * Update player position
      */
-    updatePlayer(deltaTime, input) {
+    updatePlayer(player, deltaTime, input) {
+        player.dashCooldown = Math.max(0, player.dashCooldown - deltaTime);
+
+        if (input.dash && player.dashCooldown <= 0) {
+            this.startDash(player, input.dash);
+        }
+
+        // A dash overrides normal movement until it runs out
+        if (player.dashTimer > 0) {
+            this.updateDash(player, deltaTime);
+            return;
+        }
+
         // Set target position from input (-1 to 1 -> -5 to 5)
-        this.player.targetX = input.horizontal * 5;
-        this.player.targetZ = input.vertical * 5;
+        player.targetX = input.horizontal * 5;
+        player.targetZ = input.vertical * 5;
 
         // Clamp to bounds
-        this.player.targetX = Math.max(this.bounds.minX,
-            Math.min(this.bounds.maxX, this.player.targetX));
-        this.player.targetZ = Math.max(this.bounds.minZ,
-            Math.min(this.bounds.maxZ, this.player.targetZ));
+        player.targetX = Math.max(this.bounds.minX,
+            Math.min(this.bounds.maxX, player.targetX));
+        player.targetZ = Math.max(this.bounds.minZ,
+            Math.min(this.bounds.maxZ, player.targetZ));
 
         // Smooth movement towards target
-        const dx = this.player.targetX - this.player.x;
-        const dz = this.player.targetZ - this.player.z;
+        const dx = player.targetX - player.x;
+        const dz = player.targetZ - player.z;
 
-        const moveSpeed = this.playerSpeed * deltaTime;
+        let moveSpeed = this.playerSpeed * deltaTime;
+
+        // Boost: the closer the hand, the faster the platform
+        if (this.depthMode === DepthMode.BOOST) {
+            moveSpeed *= 1 + (this.depthConfig.boostMultiplier - 1) * (input.depth || 0);
+        }
 
         if (Math.abs(dx) > 0.01) {
-            this.player.x += Math.sign(dx) * Math.min(Math.abs(dx), moveSpeed);
+            player.x += Math.sign(dx) * Math.min(Math.abs(dx), moveSpeed);
         }
         if (Math.abs(dz) > 0.01) {
-            this.player.z += Math.sign(dz) * Math.min(Math.abs(dz), moveSpeed);
+            player.z += Math.sign(dz) * Math.min(Math.abs(dz), moveSpeed);
+        }
+
+        if (this.depthMode === DepthMode.ALTITUDE) {
+            this.updateAltitude(player, deltaTime, input.depth || 0);
         }
 
         // Notify renderer
+        this.notifyPlayerMove(player);
+    }
+
+    /**
+     * Raise or lower the platform towards the depth input
+     */
+    updateAltitude(player, deltaTime, depth) {
+        const targetY = depth * this.depthConfig.maxAltitude;
+        const dy = targetY - player.y;
+        const climb = this.depthConfig.climbSpeed * deltaTime;
+
+        if (Math.abs(dy) > 0.01) {
+            player.y += Math.sign(dy) * Math.min(Math.abs(dy), climb);
+        }
+    }
+
+    /**
+     * Tell the renderer where a player is
+     */
+    notifyPlayerMove(player) {
         if (this.onPlayerMove) {
-            this.onPlayerMove(this.player.x, this.player.z);
+            this.onPlayerMove(player.x, player.z, player.index, player.y);
+        }
+    }
+
+    /**
+     * Begin a dash in an input-space direction ({ x, y })
+     */
+    startDash(player, direction) {
+        const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y);
+        if (length === 0) {
+            return;
         }
+
+        player.dashDirection = { x: direction.x / length, z: direction.y / length };
+        player.dashTimer = this.dashConfig.duration;
+        player.dashCooldown = this.dashConfig.cooldown;
+    }
+
+    /**
+     * Move a dashing player
+     */
+    updateDash(player, deltaTime) {
+        const step = this.dashConfig.speed * Math.min(deltaTime, player.dashTimer);
+        player.dashTimer -= deltaTime;
+
+        player.x = Math.max(this.bounds.minX,
+            Math.min(this.bounds.maxX, player.x + player.dashDirection.x * step));
+        player.z = Math.max(this.bounds.minZ,
+            Math.min(this.bounds.maxZ, player.z + player.dashDirection.z * step));
+
+        this.notifyPlayerMove(player);
     }
 
     /**
      * Update shield state
      */
-    updateShield(deltaTime, actionPressed) {
-        const wasActive = this.player.shieldActive;
+    updateShield(player, deltaTime, actionPressed) {
+        const wasActive = player.shieldActive;
 
-        if (actionPressed && this.player.shieldEnergy > 0) {
-            this.player.shieldActive = true;
-            this.player.shieldEnergy -= this.player.shieldDrainRate * deltaTime;
-            this.player.shieldEnergy = Math.max(0, this.player.shieldEnergy);
+        if (actionPressed && player.shieldEnergy > 0) {
+            player.shieldActive = true;
+            player.shieldEnergy -= player.shieldDrainRate * deltaTime;
+            player.shieldEnergy = Math.max(0, player.shieldEnergy);
 
-            if (this.player.shieldEnergy <= 0) {
-                this.player.shieldActive = false;
+            if (player.shieldEnergy <= 0) {
+                player.shieldActive = false;
             }
         } else {
-            this.player.shieldActive = false;
+            player.shieldActive = false;
             // Recharge when not using
-            this.player.shieldEnergy += this.player.shieldRechargeRate * deltaTime;
-            this.player.shieldEnergy = Math.min(1, this.player.shieldEnergy);
+            player.shieldEnergy += player.shieldRechargeRate * deltaTime;
+            player.shieldEnergy = Math.min(1, player.shieldEnergy);
         }
 
         // Notify if changed
-        if (wasActive !== this.player.shieldActive || actionPressed) {
+        if (wasActive !== player.shieldActive || actionPressed) {
             if (this.onShieldUpdate) {
-                this.onShieldUpdate(this.player.shieldEnergy, this.player.shieldActive);
+                this.onShieldUpdate(player.shieldEnergy, player.shieldActive, player.index);
             }
         }
     }
@@ -244,14 +440,16 @@ export class GameController {
         const fallSpeed = this.spawnConfig.fallSpeed * this.difficulty.speedMultiplier;
 
         for (const entity of this.entities) {
+            // Hovering orbs wait at their height, then drop
+            if (entity.hoverTimer > 0 && entity.y <= entity.hoverHeight) {
+                entity.y = entity.hoverHeight;
+                entity.hoverTimer -= deltaTime;
+                continue;
+            }
+
             // Move down
             entity.y -= fallSpeed * deltaTime;
 
-            // Check if reached catch zone
-            if (!entity.processed && entity.y <= this.spawnConfig.catchHeight) {
-                entity.inCatchZone = true;
-            }
-
             // Check if missed (fell below floor)
             if (!entity.processed && entity.y <= this.spawnConfig.missHeight) {
                 entity.missed = true;
@@ -264,7 +462,7 @@ export class GameController {
             if (entity.y < -5 || entity.processed) {
                 if (entity.missed && entity.type === EntityType.ORB) {
                     // Orb was missed - break combo
-                    this.breakCombo();
+                    this.breakCombo(entity);
                 }
 
                 if (this.onEntityRemove) {
@@ -304,17 +502,24 @@ export class GameController {
         const entity = {
             id: ++this.entityIdCounter,
             type: EntityType.ORB,
-            x: (Math.random() - 0.5) * 8,
+            x: (this.random.next() - 0.5) * 8,
             y: this.spawnConfig.spawnHeight,
-            z: (Math.random() - 0.5) * 8,
+            z: (this.random.next() - 0.5) * 8,
             radius: 0.5,
             color: this.getRandomOrbColor(),
             points: 100,
             processed: false,
-            missed: false,
-            inCatchZone: false
+            missed: false
         };
 
+        // Some orbs stop mid-air - only a raised platform reaches them
+        if (this.depthMode === DepthMode.ALTITUDE && this.random.next() < this.depthConfig.hoverChance) {
+            const { hoverMinHeight, maxAltitude } = this.depthConfig;
+            entity.hoverHeight = hoverMinHeight + this.random.next() * (maxAltitude - hoverMinHeight);
+            entity.hoverTimer = this.depthConfig.hoverDuration;
+            entity.points = this.depthConfig.hoverPoints;
+        }
+
         this.entities.push(entity);
 
         if (this.onEntitySpawn) {
@@ -329,13 +534,12 @@ export class GameController {
         const entity = {
             id: ++this.entityIdCounter,
             type: EntityType.HAZARD,
-            x: (Math.random() - 0.5) * 8,
+            x: (this.random.next() - 0.5) * 8,
             y: this.spawnConfig.spawnHeight,
-            z: (Math.random() - 0.5) * 8,
+            z: (this.random.next() - 0.5) * 8,
             radius: 0.6,
             processed: false,
-            missed: false,
-            inCatchZone: false
+            missed: false
         };
 
         this.entities.push(entity);
@@ -356,93 +560,167 @@ export class GameController {
             { r: 0.5, g: 0, b: 1 },    // Purple
             { r: 0, g: 1, b: 0.5 }     // Green
         ];
-        return colors[Math.floor(Math.random() * colors.length)];
+        return colors[Math.floor(this.random.next() * colors.length)];
     }
 
     /**
-     * Check collisions between player and entities
+     * Check collisions between players and entities
      */
     checkCollisions() {
         const playerRadius = 1.5; // Platform radius
 
         for (const entity of this.entities) {
-            if (entity.processed || !entity.inCatchZone) continue;
+            if (entity.processed) continue;
 
-            // Check distance to player
-            const dx = entity.x - this.player.x;
-            const dz = entity.z - this.player.z;
-            const distance = Math.sqrt(dx * dx + dz * dz);
+            // Closest platform in range gets the entity
+            let closest = null;
+            let closestDistance = Infinity;
 
-            if (distance < playerRadius + entity.radius) {
+            for (const player of this.players) {
+                if (player.eliminated || !this.isInCatchZone(entity, player)) continue;
+
+                const dx = entity.x - player.x;
+                const dz = entity.z - player.z;
+                const distance = Math.sqrt(dx * dx + dz * dz);
+
+                if (distance < playerRadius + entity.radius && distance < closestDistance) {
+                    closest = player;
+                    closestDistance = distance;
+                }
+            }
+
+            if (closest) {
                 // Collision!
                 entity.processed = true;
 
                 if (entity.type === EntityType.ORB) {
-                    this.catchOrb(entity);
+                    this.catchOrb(entity, closest);
                 } else if (entity.type === EntityType.HAZARD) {
-                    this.hitHazard(entity);
+                    this.hitHazard(entity, closest);
+                }
+
+                // The first hit may have ended the game
+                if (this.state !== GameState.PLAYING) {
+                    return;
                 }
             }
         }
     }
 
+    /**
+     * Check if an entity is at the right height for a platform to catch it
+     * (the catch zone moves up with a raised platform)
+     */
+    isInCatchZone(entity, player) {
+        return entity.y <= player.y + this.spawnConfig.catchHeight &&
+            entity.y > player.y + this.spawnConfig.missHeight;
+    }
+
     /**
      * Handle catching an orb
      */
-    catchOrb(orb) {
+    catchOrb(orb, player) {
         // Add points with combo multiplier
-        const points = orb.points * this.combo;
-        this.score += points;
-        this.orbsCaught++;
+        const points = orb.points * player.combo;
+        player.score += points;
+        player.orbsCaught++;
 
         // Increase combo
-        this.combo++;
-        if (this.combo > this.maxCombo) {
-            this.maxCombo = this.combo;
+        player.combo++;
+        if (player.combo > player.maxCombo) {
+            player.maxCombo = player.combo;
         }
 
         // Notify
         if (this.onOrbCatch) {
-            this.onOrbCatch(orb, points);
+            this.onOrbCatch(orb, points, player.index);
         }
         if (this.onScoreUpdate) {
-            this.onScoreUpdate(this.score);
+            this.onScoreUpdate(player.score, player.index);
         }
         if (this.onComboUpdate) {
-            this.onComboUpdate(this.combo);
+            this.onComboUpdate(player.combo, player.index);
         }
     }
 
     /**
      * Handle hitting a hazard
      */
-    hitHazard(hazard) {
-        if (this.player.shieldActive) {
+    hitHazard(hazard, player) {
+        if (player.shieldActive) {
             // Shield absorbs hit
             if (this.onHazardHit) {
-                this.onHazardHit(hazard, true);
+                this.onHazardHit(hazard, true, player.index);
             }
             return;
         }
 
-        // Game over!
         if (this.onHazardHit) {
-            this.onHazardHit(hazard, false);
+            this.onHazardHit(hazard, false, player.index);
+        }
+
+        // Single player and versus end on the first hit
+        if (this.mode !== GameMode.CO_OP) {
+            player.eliminated = true;
+            this.gameOver();
+            return;
+        }
+
+        // Co-op: knocked-out player sits out until everyone is out
+        player.eliminated = true;
+        if (this.onPlayerEliminated) {
+            this.onPlayerEliminated(player.index);
         }
 
-        this.gameOver();
+        if (this.players.every(p => p.eliminated)) {
+            this.gameOver();
+        }
     }
 
     /**
      * Break combo when orb is missed
+     * In versus only the player closest to where it fell pays for it
      */
-    breakCombo() {
-        this.combo = 1;
-        if (this.onComboUpdate) {
-            this.onComboUpdate(this.combo);
+    breakCombo(orb) {
+        const players = this.mode === GameMode.VERSUS ?
+            [this.getClosestPlayer(orb)].filter(Boolean) :
+            this.players;
+
+        for (const player of players) {
+            player.combo = 1;
+            if (this.onComboUpdate) {
+                this.onComboUpdate(player.combo, player.index);
+            }
         }
     }
 
+    /**
+     * Active player nearest to an entity on the ground plane (null if none)
+     */
+    getClosestPlayer(entity) {
+        let closest = null;
+        let closestDistance = Infinity;
+
+        for (const player of this.players) {
+            if (player.eliminated) continue;
+
+            const distance = Math.hypot(entity.x - player.x, entity.z - player.z);
+            if (distance < closestDistance) {
+                closest = player;
+                closestDistance = distance;
+            }
+        }
+
+        return closest;
+    }
+
+    /**
+     * Combined score of all players
+     */
+    getTotalScore() {
+        return this.players.reduce((total, player) => total + player.score, 0);
+    }
+
     /**
      * Update difficulty based on score
      */
@@ -450,8 +728,10 @@ export class GameController {
         const thresholds = this.difficulty.scoreThresholds;
         let newLevel = 1;
 
+        const score = this.getTotalScore();
+
         for (let i = 0; i < thresholds.length; i++) {
-            if (this.score >= thresholds[i]) {
+            if (score >= thresholds[i]) {
                 newLevel = i + 2;
             }
         }
@@ -466,8 +746,14 @@ export class GameController {
     /**
      * Start the game
      */
-    startGame() {
+    startGame(seed = SeededRandom.createSeed()) {
+        this.random.reseed(seed);
         this.reset();
+
+        if (this.onGameStart) {
+            this.onGameStart(this.random.seed);
+        }
+
         this.setState(GameState.PLAYING);
     }
 
@@ -491,18 +777,32 @@ export class GameController {
     }
 
     /**
-     * Restart the game
+     * Restart the game (a seed replays a recorded game)
+     */
+    restart(seed = SeededRandom.createSeed()) {
+        this.clearEntities();
+        this.startGame(seed);
+    }
+
+    /**
+     * Abandon the current game and go back to the menu
+     */
+    quit() {
+        this.clearEntities();
+        this.reset();
+        this.setState(GameState.MENU);
+    }
+
+    /**
+     * Remove every orb and hazard
      */
-    restart() {
-        // Clear all entities
+    clearEntities() {
         for (const entity of this.entities) {
             if (this.onEntityRemove) {
                 this.onEntityRemove(entity.id);
             }
         }
         this.entities = [];
-
-        this.startGame();
     }
 
     /**
@@ -528,21 +828,10 @@ export class GameController {
      * Reset game to initial state
      */
     reset() {
-        this.player = {
-            x: 0,
-            z: 0,
-            targetX: 0,
-            targetZ: 0,
-            shieldActive: false,
-            shieldEnergy: 1.0,
-            shieldRechargeRate: 0.2,
-            shieldDrainRate: 0.5
-        };
-
-        this.score = 0;
-        this.combo = 1;
-        this.maxCombo = 1;
-        this.orbsCaught = 0;
+        this.players = [];
+        for (let i = 0; i < this.getPlayerCount(); i++) {
+            this.players.push(this.createPlayer(i));
+        }
 
         this.spawnConfig.orbTimer = 0;
         this.spawnConfig.hazardTimer = 0;
@@ -552,24 +841,49 @@ export class GameController {
         this.difficulty.spawnMultiplier = 1.0;
 
         // Notify score reset
-        if (this.onScoreUpdate) this.onScoreUpdate(0);
-        if (this.onComboUpdate) this.onComboUpdate(1);
-        if (this.onShieldUpdate) this.onShieldUpdate(1, false);
+        for (const player of this.players) {
+            if (this.onScoreUpdate) this.onScoreUpdate(0, player.index);
+            if (this.onComboUpdate) this.onComboUpdate(1, player.index);
+            if (this.onShieldUpdate) this.onShieldUpdate(1, false, player.index);
+            this.notifyPlayerMove(player);
+        }
     }
 
     /**
      * Get current game stats
+     * Top-level numbers are team totals; `players` has the breakdown
      */
     getStats() {
         return {
-            score: this.score,
-            combo: this.combo,
-            maxCombo: this.maxCombo,
-            orbsCaught: this.orbsCaught,
-            level: this.difficulty.level
+            score: this.getTotalScore(),
+            combo: Math.max(...this.players.map(p => p.combo)),
+            maxCombo: Math.max(...this.players.map(p => p.maxCombo)),
+            orbsCaught: this.players.reduce((total, p) => total + p.orbsCaught, 0),
+            level: this.difficulty.level,
+            mode: this.mode,
+            seed: this.random.seed,
+            players: this.players.map(p => ({
+                score: p.score,
+                maxCombo: p.maxCombo,
+                orbsCaught: p.orbsCaught,
+                eliminated: p.eliminated
+            })),
+            winner: this.getWinner()
         };
     }
 
+    /**
+     * Versus winner index (null outside versus or while undecided)
+     */
+    getWinner() {
+        if (this.mode !== GameMode.VERSUS) {
+            return null;
+        }
+
+        const standing = this.players.filter(p => !p.eliminated);
+        return standing.length === 1 ? standing[0].index : null;
+    }
+
     /**
      * Get current state
      */
@@ -583,11 +897,15 @@ export class GameController {
     dispose() {
         this.entities = [];
         this.onStateChange = null;
+        this.onGameStart = null;
         this.onEntitySpawn = null;
         this.onEntityRemove = null;
         this.onScoreUpdate = null;
         this.onComboUpdate = null;
         this.onShieldUpdate = null;
         this.onPlayerMove = null;
+        this.onOrbCatch = null;
+        this.onHazardHit = null;
+        this.onPlayerEliminated = null;
     }
 }
@@ -0,0 +1,186 @@
+/**
+ * GamepadInput - Gamepad API Polling
+ *
+ * Responsible for:
+ * - Tracking connected controllers (gamepadconnected/gamepaddisconnected)
+ * - Reading sticks with a radial deadzone and triggers as analog values
+ * - Turning Start/Select presses into one-shot commands
+ *
+ * Uses the "standard" mapping; other layouts fall back to the same indices.
+ * Which buttons do what is set with configure({ buttons }) (see InputBindings).
+ */
+
+// Standard mapping button indices
+export const GamepadButton = {
+    A: 0,
+    B: 1,
+    X: 2,
+    Y: 3,
+    LB: 4,
+    RB: 5,
+    LT: 6,
+    RT: 7,
+    SELECT: 8,
+    START: 9,
+    L3: 10,
+    R3: 11,
+    DPAD_UP: 12,
+    DPAD_DOWN: 13,
+    DPAD_LEFT: 14,
+    DPAD_RIGHT: 15
+};
+
+export class GamepadInput {
+    constructor() {
+        this.deadzone = 0.2;            // Stick radius ignored around center
+        this.triggerThreshold = 0.3;    // Trigger travel that counts as pressed
+
+        // Which buttons do what (direction buttons add to the stick)
+        this.buttons = {
+            action: [GamepadButton.A, GamepadButton.RB, GamepadButton.RT],
+            depth: [GamepadButton.LT],
+            pause: [GamepadButton.START],
+            start: [GamepadButton.START],
+            restart: [GamepadButton.SELECT],
+            left: [],
+            right: [],
+            up: [],
+            down: []
+        };
+
+        // Previous pressed state per pad, for one-shot commands
+        this.previousButtons = new Map();
+
+        // Callbacks
+        this.onConnect = null;      // (gamepad)
+        this.onDisconnect = null;   // (gamepad)
+
+        this.handleConnect = this.handleConnect.bind(this);
+        this.handleDisconnect = this.handleDisconnect.bind(this);
+    }
+
+    /**
+     * Listen for controllers being plugged in or removed
+     */
+    init() {
+        window.addEventListener('gamepadconnected', this.handleConnect);
+        window.addEventListener('gamepaddisconnected', this.handleDisconnect);
+        return this;
+    }
+
+    /**
+     * Check if the browser has the Gamepad API
+     */
+    static isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+    }
+
+    handleConnect(event) {
+        console.log(`🎮 Gamepad connected: ${event.gamepad.id}`);
+        if (this.onConnect) {
+            this.onConnect(event.gamepad);
+        }
+    }
+
+    handleDisconnect(event) {
+        console.log(`🎮 Gamepad disconnected: ${event.gamepad.id}`);
+        this.previousButtons.delete(event.gamepad.index);
+        if (this.onDisconnect) {
+            this.onDisconnect(event.gamepad);
+        }
+    }
+
+    /**
+     * Read every connected pad (call once per frame)
+     * Returns [{ index, horizontal, vertical, depth, actionPrimary, pause, restart, start, pressed, active }]
+     */
+    poll() {
+        if (!GamepadInput.isSupported()) {
+            return [];
+        }
+
+        const states = [];
+
+        for (const gamepad of navigator.getGamepads()) {
+            if (!gamepad || !gamepad.connected) continue;
+            states.push(this.readGamepad(gamepad));
+        }
+
+        return states;
+    }
+
+    /**
+     * Map one pad to game input
+     */
+    readGamepad(gamepad) {
+        const stick = this.applyDeadzone(gamepad.axes[0] || 0, gamepad.axes[1] || 0);
+        const pressed = gamepad.buttons.map(button => button.pressed || button.value > this.triggerThreshold);
+        const previous = this.previousButtons.get(gamepad.index) || [];
+        const justPressed = (index) => !!pressed[index] && !previous[index];
+        const any = (indices) => indices.some(index => pressed[index]);
+        const anyJustPressed = (indices) => indices.some(justPressed);
+
+        this.previousButtons.set(gamepad.index, pressed);
+
+        const horizontal = Math.max(-1, Math.min(1,
+            stick.x + (any(this.buttons.right) ? 1 : 0) - (any(this.buttons.left) ? 1 : 0)));
+        const vertical = Math.max(-1, Math.min(1,
+            stick.y + (any(this.buttons.down) ? 1 : 0) - (any(this.buttons.up) ? 1 : 0)));
+        const depth = Math.max(0, ...this.buttons.depth.map(index => gamepad.buttons[index]?.value || 0));
+        const actionPrimary = any(this.buttons.action);
+
+        return {
+            index: gamepad.index,
+            horizontal: horizontal,
+            vertical: vertical,
+            depth: depth,
+            actionPrimary: actionPrimary,
+            // By default Start pauses/resumes in game and starts from the menu
+            pause: anyJustPressed(this.buttons.pause),
+            start: anyJustPressed(this.buttons.start),
+            restart: anyJustPressed(this.buttons.restart),
+            pressed: pressed.map((_, index) => index).filter(justPressed),
+            active: horizontal !== 0 || vertical !== 0 || depth > this.triggerThreshold || actionPrimary
+        };
+    }
+
+    /**
+     * Radial deadzone, rescaled so output still reaches 1 at the rim
+     */
+    applyDeadzone(x, y) {
+        const magnitude = Math.sqrt(x * x + y * y);
+
+        if (magnitude < this.deadzone) {
+            return { x: 0, y: 0 };
+        }
+
+        const scaled = Math.min(1, (magnitude - this.deadzone) / (1 - this.deadzone));
+        return { x: (x / magnitude) * scaled, y: (y / magnitude) * scaled };
+    }
+
+    /**
+     * Update configuration
+     */
+    configure(options) {
+        if (options.deadzone !== undefined) {
+            this.deadzone = Math.max(0, Math.min(0.9, options.deadzone));
+        }
+        if (options.triggerThreshold !== undefined) {
+            this.triggerThreshold = options.triggerThreshold;
+        }
+        if (options.buttons !== undefined) {
+            this.buttons = { ...this.buttons, ...options.buttons };
+        }
+    }
+
+    /**
+     * Cleanup
+     */
+    dispose() {
+        window.removeEventListener('gamepadconnected', this.handleConnect);
+        window.removeEventListener('gamepaddisconnected', this.handleDisconnect);
+        this.previousButtons.clear();
+        this.onConnect = null;
+        this.onDisconnect = null;
+    }
+}
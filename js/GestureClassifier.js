@@ -0,0 +1,152 @@
+/**
+ * GestureClassifier - User-Trained Pose Recognition
+ *
+ * Responsible for:
+ * - Normalizing landmarks (wrist-relative, scale-independent)
+ * - Holding recorded examples of each custom gesture
+ * - Classifying new poses with k-nearest neighbours
+ *
+ * Left hands are mirrored onto right hands, so a gesture recorded
+ * with one hand is recognized on either.
+ */
+
+import { Handedness } from './CVEngine.js';
+
+// Gesture type prefix, e.g. 'custom:thumbs-down'
+export const CUSTOM_GESTURE_PREFIX = 'custom:';
+
+export class GestureClassifier {
+    constructor() {
+        // Training data: { name, vector }
+        this.examples = [];
+
+        // Classification settings
+        this.k = 5;
+        this.maxDistance = 1.5;     // Neighbours further than this don't vote
+        this.minConfidence = 0.5;   // Below this, report no custom gesture
+    }
+
+    /**
+     * Turn 21 landmarks into a flat vector relative to the wrist,
+     * scaled by palm length (wrist to middle finger base)
+     */
+    static normalize(landmarks, handedness = null) {
+        const wrist = landmarks[0];
+        const middleMcp = landmarks[9];
+
+        const scale = Math.sqrt(
+            (middleMcp.x - wrist.x) ** 2 +
+            (middleMcp.y - wrist.y) ** 2 +
+            ((middleMcp.z || 0) - (wrist.z || 0)) ** 2
+        ) || 1;
+
+        const flip = handedness === Handedness.LEFT ? -1 : 1;
+        const vector = [];
+
+        for (const lm of landmarks) {
+            vector.push(
+                flip * (lm.x - wrist.x) / scale,
+                (lm.y - wrist.y) / scale,
+                ((lm.z || 0) - (wrist.z || 0)) / scale
+            );
+        }
+
+        return vector;
+    }
+
+    /**
+     * Replace the training data with stored gestures
+     * ([{ name, samples: [vector, ...] }, ...])
+     */
+    train(gestures) {
+        this.examples = [];
+
+        for (const gesture of gestures) {
+            for (const vector of gesture.samples) {
+                this.examples.push({ name: gesture.name, vector: vector });
+            }
+        }
+    }
+
+    /**
+     * Check if there is anything to recognize
+     */
+    hasExamples() {
+        return this.examples.length > 0;
+    }
+
+    /**
+     * Classify a hand, returns { type, name, strength, distance } or null
+     */
+    classify(landmarks, handedness = null) {
+        if (this.examples.length === 0) {
+            return null;
+        }
+
+        const vector = GestureClassifier.normalize(landmarks, handedness);
+
+        const neighbours = this.examples
+            .map(example => ({
+                name: example.name,
+                distance: this.getDistance(vector, example.vector)
+            }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, this.k);
+
+        // Majority vote among neighbours that are close enough
+        const votes = {};
+        for (const neighbour of neighbours) {
+            if (neighbour.distance <= this.maxDistance) {
+                votes[neighbour.name] = (votes[neighbour.name] || 0) + 1;
+            }
+        }
+
+        let best = null;
+        for (const name in votes) {
+            if (best === null || votes[name] > votes[best]) {
+                best = name;
+            }
+        }
+
+        if (best === null) {
+            return null;
+        }
+
+        const nearest = neighbours.find(n => n.name === best).distance;
+        const agreement = votes[best] / neighbours.length;
+        const closeness = 1 - (nearest / this.maxDistance) ** 2;
+        const confidence = agreement * closeness;
+
+        if (confidence < this.minConfidence) {
+            return null;
+        }
+
+        return {
+            type: CUSTOM_GESTURE_PREFIX + best,
+            name: best,
+            strength: confidence,
+            distance: nearest
+        };
+    }
+
+    /**
+     * Euclidean distance between two vectors
+     */
+    getDistance(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) {
+            const d = a[i] - b[i];
+            sum += d * d;
+        }
+        return Math.sqrt(sum);
+    }
+
+    /**
+     * Update configuration
+     */
+    configure(options) {
+        if (options.k !== undefined) this.k = options.k;
+        if (options.maxDistance !== undefined) this.maxDistance = options.maxDistance;
+        if (options.minConfidence !== undefined) this.minConfidence = options.minConfidence;
+    }
+}
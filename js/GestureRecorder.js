@@ -0,0 +1,144 @@
+/**
+ * GestureRecorder - Custom Gesture Capture
+ *
+ * Responsible for:
+ * - Running the "get ready, hold the pose" recording flow
+ * - Collecting normalized landmark samples from CV results
+ * - Reporting progress so the UI can show a countdown
+ * - Giving up when CV results stop arriving (camera lost, tab hidden)
+ */
+
+import { GestureClassifier } from './GestureClassifier.js';
+
+// Recording phases
+export const RecordingPhase = {
+    COUNTDOWN: 'countdown',
+    CAPTURING: 'capturing'
+};
+
+export class GestureRecorder {
+    constructor() {
+        this.countdownMs = 1500;    // Time to get the pose ready
+        this.durationMs = 3000;     // Time spent holding the pose
+        this.maxSamples = 60;       // Kept per recording
+        this.minSamples = 15;       // Fewer means the hand wasn't visible
+        this.frameTimeoutMs = 2000; // No frames for this long cancels the recording
+
+        // Active recording: { name, samples, captureStart, captureEnd, resolve, reject, timer }
+        this.session = null;
+
+        // Callbacks
+        this.onProgress = null;     // (phase, progress 0-1)
+    }
+
+    /**
+     * Start recording, resolves with the captured samples
+     */
+    record(name) {
+        if (this.session) {
+            return Promise.reject(new Error('Already recording a gesture'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const now = performance.now();
+
+            this.session = {
+                name: name,
+                samples: [],
+                captureStart: now + this.countdownMs,
+                captureEnd: now + this.countdownMs + this.durationMs,
+                resolve: resolve,
+                reject: reject,
+                timer: null
+            };
+            this.resetFrameTimeout();
+        });
+    }
+
+    /**
+     * Restart the watchdog that cancels a recording nobody feeds
+     */
+    resetFrameTimeout() {
+        clearTimeout(this.session.timer);
+        this.session.timer = setTimeout(() => {
+            this.cancel('Hand tracking stopped - recording cancelled');
+        }, this.frameTimeoutMs);
+    }
+
+    /**
+     * Feed one hand's CV results while recording
+     */
+    addFrame(cvResults, timestamp = performance.now()) {
+        const session = this.session;
+        if (!session) {
+            return;
+        }
+
+        this.resetFrameTimeout();
+
+        if (timestamp < session.captureStart) {
+            const elapsed = this.countdownMs - (session.captureStart - timestamp);
+            this.reportProgress(RecordingPhase.COUNTDOWN, elapsed / this.countdownMs);
+            return;
+        }
+
+        if (cvResults && cvResults.detected && cvResults.landmarks) {
+            session.samples.push(GestureClassifier.normalize(cvResults.landmarks, cvResults.handedness));
+        }
+
+        const elapsed = timestamp - session.captureStart;
+        this.reportProgress(RecordingPhase.CAPTURING, Math.min(1, elapsed / this.durationMs));
+
+        if (timestamp >= session.captureEnd) {
+            this.finish();
+        }
+    }
+
+    /**
+     * End the recording and settle the promise
+     */
+    finish() {
+        const session = this.session;
+        this.session = null;
+        clearTimeout(session.timer);
+
+        if (session.samples.length < this.minSamples) {
+            session.reject(new Error('Hand not visible long enough - try again'));
+            return;
+        }
+
+        // Spread the kept samples evenly over the recording
+        const step = Math.max(1, session.samples.length / this.maxSamples);
+        const samples = [];
+        for (let i = 0; i < session.samples.length && samples.length < this.maxSamples; i += step) {
+            samples.push(session.samples[Math.floor(i)]);
+        }
+
+        session.resolve(samples);
+    }
+
+    /**
+     * Abort the current recording (its promise rejects with `message`)
+     */
+    cancel(message = 'Recording cancelled') {
+        if (this.session) {
+            const session = this.session;
+            this.session = null;
+            clearTimeout(session.timer);
+            session.reject(new Error(message));
+        }
+    }
+
+    /**
+     * Check if a recording is in progress
+     */
+    isRecording() {
+        return this.session !== null;
+    }
+
+    reportProgress(phase, progress) {
+        if (this.onProgress) {
+            this.onProgress(phase, Math.max(0, progress));
+        }
+    }
+}
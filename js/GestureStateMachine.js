@@ -0,0 +1,214 @@
+/**
+ * GestureStateMachine - Hysteresis for Static Gestures
+ *
+ * Responsible for:
+ * - Separate enter/exit score thresholds per gesture
+ * - Minimum hold time before a gesture starts and release time before it ends
+ * - Ignoring frames where the hand itself is tracked with low confidence
+ * - Emitting start/end events and picking the current gesture
+ *
+ * Scores are 0-1 per gesture type (CVEngine's gestureScores).
+ */
+
+// States of one gesture
+export const GestureState = {
+    IDLE: 'idle',
+    ENTERING: 'entering',   // Above enter threshold, waiting out minHoldMs
+    ACTIVE: 'active',
+    EXITING: 'exiting'      // Below exit threshold, waiting out minReleaseMs
+};
+
+// Default thresholds per gesture (`default` covers custom gestures)
+export const GESTURE_THRESHOLDS = {
+    pinch: { enter: 0.5, exit: 0.35, minHoldMs: 50, minReleaseMs: 120 },
+    fist: { enter: 0.75, exit: 0.5, minHoldMs: 80, minReleaseMs: 150 },
+    point: { enter: 0.5, exit: 0.5, minHoldMs: 120, minReleaseMs: 150 },
+    thumbsUp: { enter: 0.5, exit: 0.5, minHoldMs: 300, minReleaseMs: 150 },  // Restarts, so slower to start
+    victory: { enter: 0.5, exit: 0.5, minHoldMs: 120, minReleaseMs: 150 },
+    default: { enter: 0.6, exit: 0.4, minHoldMs: 100, minReleaseMs: 150 }
+};
+
+// Built-in gestures in priority order; custom gestures win over all of them
+const BUILT_IN_PRIORITY = ['pinch', 'thumbsUp', 'fist', 'point', 'victory'];
+
+/**
+ * One gesture's enter/exit state machine
+ */
+export class GestureStateMachine {
+    constructor(thresholds) {
+        this.thresholds = thresholds;
+        this.state = GestureState.IDLE;
+        this.since = 0;         // When the current state began
+        this.activeSince = 0;   // When the gesture started
+    }
+
+    /**
+     * Advance with this frame's score, returns 'start', 'end' or null
+     */
+    update(score, timestamp) {
+        const { enter, exit, minHoldMs, minReleaseMs } = this.thresholds;
+
+        switch (this.state) {
+            case GestureState.IDLE:
+                if (score >= enter) {
+                    this.setState(GestureState.ENTERING, timestamp);
+                    return this.update(score, timestamp);
+                }
+                return null;
+
+            case GestureState.ENTERING:
+                if (score < enter) {
+                    this.setState(GestureState.IDLE, timestamp);
+                } else if (timestamp - this.since >= minHoldMs) {
+                    this.setState(GestureState.ACTIVE, timestamp);
+                    this.activeSince = timestamp;
+                    return 'start';
+                }
+                return null;
+
+            case GestureState.ACTIVE:
+                if (score < exit) {
+                    this.setState(GestureState.EXITING, timestamp);
+                    return this.update(score, timestamp);
+                }
+                return null;
+
+            case GestureState.EXITING:
+                if (score >= exit) {
+                    this.setState(GestureState.ACTIVE, timestamp);
+                } else if (timestamp - this.since >= minReleaseMs) {
+                    this.setState(GestureState.IDLE, timestamp);
+                    return 'end';
+                }
+                return null;
+
+            default:
+                return null;
+        }
+    }
+
+    setState(state, timestamp) {
+        this.state = state;
+        this.since = timestamp;
+    }
+
+    /**
+     * Check if the gesture counts as held (including its release window)
+     */
+    isActive() {
+        return this.state === GestureState.ACTIVE || this.state === GestureState.EXITING;
+    }
+}
+
+/**
+ * Runs one state machine per gesture type for a single hand
+ */
+export class GestureTracker {
+    constructor() {
+        this.thresholds = {};
+        for (const [gesture, values] of Object.entries(GESTURE_THRESHOLDS)) {
+            this.thresholds[gesture] = { ...values };
+        }
+
+        this.minHandConfidence = 0.5;  // Lower-confidence frames count as no gesture
+        this.machines = new Map();
+
+        // Callbacks
+        this.onStart = null;    // ({ gesture, strength, timestamp })
+        this.onEnd = null;      // ({ gesture, duration, timestamp })
+    }
+
+    /**
+     * Feed one frame's gesture scores, returns the current gesture ('open' if none)
+     */
+    update(scores, confidence, timestamp) {
+        const gated = confidence < this.minHandConfidence;
+        const types = new Set([...Object.keys(scores), ...this.machines.keys()]);
+
+        for (const type of types) {
+            const score = gated ? 0 : (scores[type] ?? 0);
+            const transition = this.getMachine(type).update(score, timestamp);
+
+            if (transition) {
+                this.emit(transition, type, score, timestamp);
+            }
+        }
+
+        return this.getCurrent();
+    }
+
+    /**
+     * Highest-priority active gesture
+     */
+    getCurrent() {
+        let current = null;
+        let currentRank = Infinity;
+
+        for (const [type, machine] of this.machines) {
+            if (!machine.isActive()) continue;
+
+            const builtIn = BUILT_IN_PRIORITY.indexOf(type);
+            const rank = builtIn === -1 ? -1 : builtIn;
+
+            if (rank < currentRank) {
+                current = type;
+                currentRank = rank;
+            }
+        }
+
+        return current || 'open';
+    }
+
+    getMachine(type) {
+        let machine = this.machines.get(type);
+
+        if (!machine) {
+            machine = new GestureStateMachine(this.thresholds[type] || { ...this.thresholds.default });
+            this.machines.set(type, machine);
+        }
+
+        return machine;
+    }
+
+    emit(transition, type, score, timestamp) {
+        const machine = this.machines.get(type);
+
+        if (transition === 'start' && this.onStart) {
+            this.onStart({ gesture: type, strength: score, timestamp: timestamp });
+        } else if (transition === 'end' && this.onEnd) {
+            this.onEnd({ gesture: type, duration: timestamp - machine.activeSince, timestamp: timestamp });
+        }
+    }
+
+    /**
+     * Update configuration
+     * e.g. { thresholds: { pinch: { exit: 0.3 } }, minHandConfidence: 0.6 }
+     */
+    configure(options) {
+        if (options.thresholds !== undefined) {
+            for (const [type, values] of Object.entries(options.thresholds)) {
+                this.thresholds[type] = { ...(this.thresholds[type] || this.thresholds.default), ...values };
+            }
+
+            // Point existing machines at the new thresholds
+            for (const [type, machine] of this.machines) {
+                machine.thresholds = this.thresholds[type] || { ...this.thresholds.default };
+            }
+        }
+        if (options.minHandConfidence !== undefined) {
+            this.minHandConfidence = options.minHandConfidence;
+        }
+    }
+
+    /**
+     * End every active gesture right away (hand gone for good, mode change)
+     */
+    reset(timestamp = Date.now()) {
+        for (const [type, machine] of this.machines) {
+            if (machine.isActive()) {
+                this.emit('end', type, 0, timestamp);
+            }
+        }
+        this.machines.clear();
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * GestureStore - Custom Gesture Persistence
+ *
+ * Responsible for:
+ * - Opening the IndexedDB database for recorded gestures
+ * - Saving, listing and deleting gesture recordings
+ * - Degrading gracefully when IndexedDB is unavailable
+ *
+ * Records look like { id, name, command, samples, createdAt } where
+ * samples are normalized landmark vectors from GestureClassifier.
+ */
+
+const DB_NAME = 'cosmicOrbCatcher';
+const DB_VERSION = 1;
+const STORE_NAME = 'customGestures';
+
+export class GestureStore {
+    constructor() {
+        this.db = null;
+    }
+
+    /**
+     * Open (and create if needed) the database
+     */
+    async open() {
+        if (this.db) {
+            return { success: true };
+        }
+
+        try {
+            if (!window.indexedDB) {
+                throw new Error('IndexedDB not supported in this browser');
+            }
+
+            this.db = await new Promise((resolve, reject) => {
+                const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            return { success: true };
+        } catch (error) {
+            console.warn('GestureStore unavailable:', error);
+            return { success: false, error };
+        }
+    }
+
+    /**
+     * Run a single request in its own transaction
+     */
+    run(mode, operation) {
+        if (!this.db) {
+            return Promise.reject(new Error('Gesture storage not available'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get all recorded gestures
+     */
+    async getAll() {
+        if (!this.db) {
+            return [];
+        }
+        return this.run('readonly', store => store.getAll());
+    }
+
+    /**
+     * Get one gesture by id (undefined if missing)
+     */
+    async get(id) {
+        return this.run('readonly', store => store.get(id));
+    }
+
+    /**
+     * Save (or overwrite) a gesture
+     */
+    async save(gesture) {
+        return this.run('readwrite', store => store.put(gesture));
+    }
+
+    /**
+     * Delete a gesture by id
+     */
+    async remove(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Cleanup
+     */
+    dispose() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
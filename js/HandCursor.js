@@ -0,0 +1,167 @@
+/**
+ * HandCursor - Hand-Driven Pointer for Menus
+ *
+ * Responsible for:
+ * - Showing a cursor that follows the tracked hand over menu screens
+ * - Highlighting the button under it
+ * - Clicking by hovering (dwell) or by pinching
+ *
+ * Positions are game units (-1 to 1), the same ones that steer the platform,
+ * so the cursor sits where the platform would.
+ */
+
+export class HandCursor {
+    constructor() {
+        this.dwellMs = 1200;            // Hover time that clicks
+        this.cooldownMs = 600;          // No clicks right after one
+        this.clickGesture = 'pinch';    // Pose that clicks right away
+
+        // Button under the cursor: { element, since, clicked }
+        this.target = null;
+        this.lastGesture = 'none';
+        this.lastClick = -Infinity;
+        this.visible = false;
+
+        // DOM
+        this.element = null;
+
+        // Callbacks
+        this.onClick = null;    // (button)
+    }
+
+    /**
+     * Use an element as the cursor
+     */
+    init(element) {
+        this.element = element;
+        return this;
+    }
+
+    /**
+     * Move the cursor (call once per tracking frame)
+     * pointer: { x, y, gesture } or null when no hand is seen
+     * screen: the interactive screen showing (null during play)
+     */
+    update(pointer, screen, timestamp) {
+        if (!pointer || !screen || !this.element) {
+            this.hide();
+            return;
+        }
+
+        const x = ((pointer.x + 1) / 2) * window.innerWidth;
+        const y = ((pointer.y + 1) / 2) * window.innerHeight;
+
+        this.element.style.transform = `translate(${x}px, ${y}px)`;
+        this.show();
+
+        this.setTarget(this.findButton(x, y, screen), timestamp);
+
+        const pinched = pointer.gesture === this.clickGesture && this.lastGesture !== this.clickGesture;
+        this.lastGesture = pointer.gesture;
+
+        if (!this.target || this.target.clicked) {
+            this.setProgress(0);
+            return;
+        }
+
+        const progress = Math.min(1, (timestamp - this.target.since) / this.dwellMs);
+        this.setProgress(progress);
+
+        if ((pinched || progress >= 1) && timestamp - this.lastClick >= this.cooldownMs) {
+            this.click(timestamp);
+        }
+    }
+
+    /**
+     * Enabled button of the screen under a point (null if none)
+     */
+    findButton(x, y, screen) {
+        const hit = document.elementFromPoint(x, y);
+        const button = hit ? hit.closest('button') : null;
+
+        return button && !button.disabled && screen.contains(button) ? button : null;
+    }
+
+    /**
+     * Start dwelling on a new button
+     */
+    setTarget(button, timestamp) {
+        if (button === (this.target ? this.target.element : null)) {
+            return;
+        }
+
+        if (this.target) {
+            this.target.element.classList.remove('hand-hover');
+        }
+
+        this.target = button ? { element: button, since: timestamp, clicked: false } : null;
+
+        if (button) {
+            button.classList.add('hand-hover');
+        }
+    }
+
+    /**
+     * Click the hovered button (once until the cursor leaves it)
+     */
+    click(timestamp) {
+        const button = this.target.element;
+
+        this.target.clicked = true;
+        this.lastClick = timestamp;
+        this.setProgress(0);
+
+        button.click();
+
+        if (this.onClick) {
+            this.onClick(button);
+        }
+    }
+
+    setProgress(progress) {
+        this.element.style.setProperty('--progress', progress);
+        this.element.classList.toggle('dwelling', progress > 0);
+    }
+
+    show() {
+        if (!this.visible) {
+            this.visible = true;
+            this.element.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Hide the cursor and drop the hovered button
+     */
+    hide() {
+        this.setTarget(null, 0);
+        this.lastGesture = 'none';
+
+        if (this.visible && this.element) {
+            this.visible = false;
+            this.element.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Check if the cursor is showing
+     */
+    isActive() {
+        return this.visible;
+    }
+
+    /**
+     * Check if the cursor is over a button (hand poses there click it, not the game)
+     */
+    isOverTarget() {
+        return this.target !== null;
+    }
+
+    /**
+     * Cleanup
+     */
+    dispose() {
+        this.hide();
+        this.onClick = null;
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * HandLandmarkerBackend - MediaPipe Tasks HandLandmarker
+ *
+ * Responsible for:
+ * - Loading tasks-vision and the hand model (vendor/ first, then CDNs)
+ * - Running VIDEO-mode inference, preferring the GPU
+ * - Converting results to the MediaPipe Hands shape
+ *
+ * Works on the main thread and inside CVWorker.
+ */
+
+import { DetectorBackend } from './DetectorBackend.js';
+
+// Self-hosted copies (scripts/fetch-vendor.sh), then the CDNs
+const ASSET_SOURCES = [
+    {
+        visionUrl: new URL('../vendor/mediapipe/tasks-vision', import.meta.url).href,
+        modelUrl: new URL('../vendor/mediapipe/hand_landmarker.task', import.meta.url).href
+    },
+    {
+        visionUrl: 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14',
+        modelUrl: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task'
+    }
+];
+
+export class HandLandmarkerBackend extends DetectorBackend {
+    constructor() {
+        super();
+        this.landmarker = null;
+        this.delegate = null;
+        this.lastTimestamp = 0;
+    }
+
+    /**
+     * Load the model, preferring the GPU and falling back to the CPU
+     */
+    async init(options) {
+        const { vision, source } = await this.loadVision();
+        const fileset = await vision.FilesetResolver.forVisionTasks(`${source.visionUrl}/wasm`);
+
+        for (const delegate of ['GPU', 'CPU']) {
+            try {
+                this.landmarker = await vision.HandLandmarker.createFromOptions(fileset, {
+                    baseOptions: { modelAssetPath: source.modelUrl, delegate: delegate },
+                    runningMode: 'VIDEO',
+                    ...this.toLandmarkerOptions(options)
+                });
+                this.delegate = delegate;
+                return;
+            } catch (error) {
+                console.warn(`HandLandmarker: ${delegate} delegate failed`, error);
+            }
+        }
+
+        throw new Error('HandLandmarker could not be created');
+    }
+
+    /**
+     * Import the tasks-vision bundle from the first source that has it
+     */
+    async loadVision() {
+        let lastError = null;
+
+        for (const source of ASSET_SOURCES) {
+            try {
+                const vision = await import(`${source.visionUrl}/vision_bundle.mjs`);
+                return { vision, source };
+            } catch (error) {
+                lastError = error;
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Run inference on one frame
+     */
+    async send(image, timestamp = performance.now()) {
+        // VIDEO mode needs strictly increasing timestamps
+        this.lastTimestamp = Math.max(timestamp, this.lastTimestamp + 1);
+
+        const result = this.landmarker.detectForVideo(image, this.lastTimestamp);
+
+        this.emit({
+            multiHandLandmarks: result.landmarks,
+            multiHandedness: result.handedness.map(categories => ({
+                label: categories[0].categoryName,
+                score: categories[0].score
+            }))
+        });
+    }
+
+    setOptions(options) {
+        if (this.landmarker) {
+            this.landmarker.setOptions(this.toLandmarkerOptions(options));
+        }
+    }
+
+    /**
+     * Map CVEngine's tracking options to HandLandmarker's names
+     */
+    toLandmarkerOptions(options) {
+        const mapped = {};
+
+        if (options.maxNumHands !== undefined) {
+            mapped.numHands = options.maxNumHands;
+        }
+        if (options.minDetectionConfidence !== undefined) {
+            mapped.minHandDetectionConfidence = options.minDetectionConfidence;
+            mapped.minHandPresenceConfidence = options.minDetectionConfidence;
+        }
+        if (options.minTrackingConfidence !== undefined) {
+            mapped.minTrackingConfidence = options.minTrackingConfidence;
+        }
+
+        return mapped;
+    }
+
+    close() {
+        super.close();
+        if (this.landmarker) {
+            this.landmarker.close();
+            this.landmarker = null;
+        }
+    }
+}
@@ -0,0 +1,500 @@
+/**
+ * InputBindings - Remappable Input Bindings
+ *
+ * Responsible for:
+ * - Mapping physical inputs (keys, mouse buttons, gamepad buttons, gestures) to commands
+ * - Detecting conflicts when one input would trigger two commands
+ * - Per-player keyboard layouts for two-player games
+ * - Validating bindings imported from JSON
+ *
+ * Bindings are "device:code" strings, e.g. "key:KeyA", "mouse:0",
+ * "gamepad:9" or "gesture:pinch". Gesture codes also cover motions:
+ * "gesture:swipe-left" and holding a pose still, "gesture:hold:victory".
+ * "gesture:dual:point" only acts in two-hand mode, where it fires
+ * alongside "gesture:point".
+ */
+
+import { Commands } from './Commands.js';
+import { GamepadButton } from './GamepadInput.js';
+
+export { Commands };
+
+// Each player's commands in two-player games, by player index
+export const PLAYER_COMMANDS = [
+    {
+        left: Commands.P1_MOVE_LEFT,
+        right: Commands.P1_MOVE_RIGHT,
+        up: Commands.P1_MOVE_UP,
+        down: Commands.P1_MOVE_DOWN,
+        depth: Commands.P1_MOVE_DEPTH,
+        action: Commands.P1_ACTION_PRIMARY
+    },
+    {
+        left: Commands.P2_MOVE_LEFT,
+        right: Commands.P2_MOVE_RIGHT,
+        up: Commands.P2_MOVE_UP,
+        down: Commands.P2_MOVE_DOWN,
+        depth: Commands.P2_MOVE_DEPTH,
+        action: Commands.P2_ACTION_PRIMARY
+    }
+];
+
+// Display names for commands
+export const COMMAND_LABELS = {
+    [Commands.MOVE_LEFT]: 'Move left',
+    [Commands.MOVE_RIGHT]: 'Move right',
+    [Commands.MOVE_UP]: 'Move up',
+    [Commands.MOVE_DOWN]: 'Move down',
+    [Commands.MOVE_DEPTH]: 'Depth push',
+    [Commands.ACTION_PRIMARY]: 'Shield',
+    [Commands.DASH]: 'Dash',
+    [Commands.PAUSE]: 'Pause',
+    [Commands.START]: 'Start',
+    [Commands.RESTART]: 'Restart',
+    [Commands.P1_MOVE_LEFT]: 'P1 move left',
+    [Commands.P1_MOVE_RIGHT]: 'P1 move right',
+    [Commands.P1_MOVE_UP]: 'P1 move up',
+    [Commands.P1_MOVE_DOWN]: 'P1 move down',
+    [Commands.P1_MOVE_DEPTH]: 'P1 depth push',
+    [Commands.P1_ACTION_PRIMARY]: 'P1 shield',
+    [Commands.P2_MOVE_LEFT]: 'P2 move left',
+    [Commands.P2_MOVE_RIGHT]: 'P2 move right',
+    [Commands.P2_MOVE_UP]: 'P2 move up',
+    [Commands.P2_MOVE_DOWN]: 'P2 move down',
+    [Commands.P2_MOVE_DEPTH]: 'P2 depth push',
+    [Commands.P2_ACTION_PRIMARY]: 'P2 shield'
+};
+
+// Kinds of physical input
+export const BindingDevice = {
+    KEY: 'key',
+    MOUSE: 'mouse',
+    GAMEPAD: 'gamepad',
+    GESTURE: 'gesture'
+};
+
+// Commands that can be rebound, in display order
+export const BINDABLE_COMMANDS = [
+    Commands.MOVE_LEFT,
+    Commands.MOVE_RIGHT,
+    Commands.MOVE_UP,
+    Commands.MOVE_DOWN,
+    Commands.MOVE_DEPTH,
+    Commands.ACTION_PRIMARY,
+    Commands.DASH,
+    Commands.PAUSE,
+    Commands.RESTART,
+    Commands.START,
+    ...PLAYER_COMMANDS.flatMap(player => Object.values(player))
+];
+
+// When a command is live; inputs may be shared by commands that are never live together
+const CommandScope = {
+    MENU: 'menu',               // Menu and game over screens
+    GAME: 'game',               // Any game
+    ONE_PLAYER: 'onePlayer',    // Single-player games
+    TWO_PLAYER: 'twoPlayer'     // Co-op and versus games
+};
+
+const COMMAND_SCOPES = {
+    [Commands.START]: CommandScope.MENU,
+    [Commands.PAUSE]: CommandScope.GAME,
+    [Commands.RESTART]: CommandScope.GAME
+};
+for (const player of PLAYER_COMMANDS) {
+    for (const command of Object.values(player)) {
+        COMMAND_SCOPES[command] = CommandScope.TWO_PLAYER;
+    }
+}
+
+const getScope = (command) => COMMAND_SCOPES[command] || CommandScope.ONE_PLAYER;
+
+/**
+ * Check if commands in two scopes can be live at the same time
+ */
+function scopesOverlap(a, b) {
+    if (a === b) return true;
+    if (a === CommandScope.MENU || b === CommandScope.MENU) return false;
+    return a === CommandScope.GAME || b === CommandScope.GAME;
+}
+
+export const DEFAULT_BINDINGS = {
+    [Commands.MOVE_LEFT]: ['key:ArrowLeft', 'key:KeyA'],
+    [Commands.MOVE_RIGHT]: ['key:ArrowRight', 'key:KeyD'],
+    [Commands.MOVE_UP]: ['key:ArrowUp', 'key:KeyW'],
+    [Commands.MOVE_DOWN]: ['key:ArrowDown', 'key:KeyS'],
+    [Commands.MOVE_DEPTH]: ['key:KeyE', `gamepad:${GamepadButton.LT}`],
+    [Commands.ACTION_PRIMARY]: [
+        'key:Space', 'mouse:0',
+        `gamepad:${GamepadButton.A}`, `gamepad:${GamepadButton.RB}`, `gamepad:${GamepadButton.RT}`,
+        'gesture:pinch', 'gesture:fist'
+    ],
+    [Commands.DASH]: ['gesture:swipe-left', 'gesture:swipe-right', 'gesture:swipe-up', 'gesture:swipe-down'],
+    [Commands.PAUSE]: [
+        'key:KeyP', 'key:Escape', `gamepad:${GamepadButton.START}`,
+        'gesture:hold:victory', 'gesture:dual:point'
+    ],
+    [Commands.RESTART]: ['key:KeyR', `gamepad:${GamepadButton.SELECT}`, 'gesture:thumbsUp'],
+    [Commands.START]: ['key:Enter', 'key:Space', `gamepad:${GamepadButton.START}`, 'gesture:thumbsUp'],
+    [Commands.P1_MOVE_LEFT]: ['key:KeyA'],
+    [Commands.P1_MOVE_RIGHT]: ['key:KeyD'],
+    [Commands.P1_MOVE_UP]: ['key:KeyW'],
+    [Commands.P1_MOVE_DOWN]: ['key:KeyS'],
+    [Commands.P1_MOVE_DEPTH]: ['key:KeyE'],
+    [Commands.P1_ACTION_PRIMARY]: ['key:Space'],
+    [Commands.P2_MOVE_LEFT]: ['key:ArrowLeft'],
+    [Commands.P2_MOVE_RIGHT]: ['key:ArrowRight'],
+    [Commands.P2_MOVE_UP]: ['key:ArrowUp'],
+    [Commands.P2_MOVE_DOWN]: ['key:ArrowDown'],
+    [Commands.P2_MOVE_DEPTH]: ['key:ControlRight'],
+    [Commands.P2_ACTION_PRIMARY]: ['key:Enter', 'key:ShiftRight']
+};
+
+const BINDINGS_FORMAT_VERSION = 2;
+
+// Gesture code prefixes: a pose held still, and bindings that only act in
+// two-hand mode (action hand)
+export const HOLD_GESTURE_PREFIX = 'hold:';
+export const TWO_HAND_GESTURE_PREFIX = 'dual:';
+
+// Bindings that were hard-coded before a format version, added to older files
+const ADDED_BINDINGS = {
+    2: { [Commands.PAUSE]: ['gesture:hold:victory', 'gesture:dual:point'] }
+};
+
+const MOUSE_BUTTON_NAMES = ['Left click', 'Middle click', 'Right click', 'Back button', 'Forward button'];
+
+const GAMEPAD_BUTTON_NAMES = {
+    [GamepadButton.A]: 'A',
+    [GamepadButton.B]: 'B',
+    [GamepadButton.X]: 'X',
+    [GamepadButton.Y]: 'Y',
+    [GamepadButton.LB]: 'LB',
+    [GamepadButton.RB]: 'RB',
+    [GamepadButton.LT]: 'LT',
+    [GamepadButton.RT]: 'RT',
+    [GamepadButton.SELECT]: 'Select',
+    [GamepadButton.START]: 'Start',
+    [GamepadButton.L3]: 'L3',
+    [GamepadButton.R3]: 'R3',
+    [GamepadButton.DPAD_UP]: 'D-pad ↑',
+    [GamepadButton.DPAD_DOWN]: 'D-pad ↓',
+    [GamepadButton.DPAD_LEFT]: 'D-pad ←',
+    [GamepadButton.DPAD_RIGHT]: 'D-pad →'
+};
+
+const GESTURE_NAMES = {
+    pinch: '🤏 Pinch',
+    fist: '✊ Fist',
+    point: '☝️ Point',
+    thumbsUp: '👍 Thumbs up',
+    victory: '✌️ Victory',
+    'swipe-left': '👈 Swipe left',
+    'swipe-right': '👉 Swipe right',
+    'swipe-up': '👆 Swipe up',
+    'swipe-down': '👇 Swipe down',
+    circle: '🔄 Circle'
+};
+
+const KEY_NAMES = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Escape: 'Esc'
+};
+
+/**
+ * Split a binding into { device, code } (null if malformed)
+ */
+export function parseBinding(binding) {
+    if (typeof binding !== 'string') {
+        return null;
+    }
+
+    const separator = binding.indexOf(':');
+    const device = binding.slice(0, separator);
+    const code = binding.slice(separator + 1);
+
+    if (separator < 1 || !code || !Object.values(BindingDevice).includes(device)) {
+        return null;
+    }
+    if ((device === BindingDevice.MOUSE || device === BindingDevice.GAMEPAD) && !/^\d+$/.test(code)) {
+        return null;
+    }
+
+    return { device: device, code: code };
+}
+
+/**
+ * Human-readable name for a binding
+ */
+export function describeBinding(binding) {
+    const parsed = parseBinding(binding);
+    if (!parsed) {
+        return binding;
+    }
+
+    const { device, code } = parsed;
+
+    switch (device) {
+        case BindingDevice.KEY:
+            if (KEY_NAMES[code]) return KEY_NAMES[code];
+            if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+            if (/^Digit\d$/.test(code)) return code.slice(5);
+            // "ShiftRight" -> "Right Shift"
+            return code.replace(/^(\w+?)(Left|Right)$/, '$2 $1');
+        case BindingDevice.MOUSE:
+            return MOUSE_BUTTON_NAMES[code] || `Mouse ${code}`;
+        case BindingDevice.GAMEPAD:
+            return `🎮 ${GAMEPAD_BUTTON_NAMES[code] || `Button ${code}`}`;
+        case BindingDevice.GESTURE:
+            return describeGesture(code);
+        default:
+            return binding;
+    }
+}
+
+function describeGesture(code) {
+    if (code.startsWith(TWO_HAND_GESTURE_PREFIX)) {
+        return `${describeGesture(code.slice(TWO_HAND_GESTURE_PREFIX.length))} (two-hand)`;
+    }
+    if (code.startsWith(HOLD_GESTURE_PREFIX)) {
+        return `${describeGesture(code.slice(HOLD_GESTURE_PREFIX.length))} (hold)`;
+    }
+    return GESTURE_NAMES[code] || `✋ ${code.replace(/^custom:/, '')}`;
+}
+
+/**
+ * Bindings that can fire together with this one (itself included)
+ * A two-hand-only gesture overlaps the plain gesture of the same pose
+ */
+function getOverlappingBindings(binding) {
+    const parsed = parseBinding(binding);
+    if (!parsed || parsed.device !== BindingDevice.GESTURE) {
+        return [binding];
+    }
+
+    const pose = parsed.code.startsWith(TWO_HAND_GESTURE_PREFIX) ?
+        parsed.code.slice(TWO_HAND_GESTURE_PREFIX.length) :
+        parsed.code;
+
+    return [
+        `${BindingDevice.GESTURE}:${pose}`,
+        `${BindingDevice.GESTURE}:${TWO_HAND_GESTURE_PREFIX}${pose}`
+    ];
+}
+
+/**
+ * Command -> bindings table with a reverse index for lookups
+ */
+export class InputBindings {
+    constructor(bindings = null) {
+        this.bindings = {};
+        this.commandsByBinding = new Map();
+
+        this.reset();
+        if (bindings) {
+            this.load(bindings);
+        }
+    }
+
+    /**
+     * Bindings for one command
+     */
+    getBindings(command) {
+        return this.bindings[command] || [];
+    }
+
+    /**
+     * Commands one physical input triggers
+     */
+    getCommands(binding) {
+        return this.commandsByBinding.get(binding) || [];
+    }
+
+    /**
+     * Check if an input triggers a command
+     */
+    isBound(binding, command) {
+        return this.getCommands(binding).includes(command);
+    }
+
+    /**
+     * Codes bound to a command on one device (e.g. gamepad button indices)
+     */
+    getCodes(command, device) {
+        return this.getBindings(command)
+            .map(parseBinding)
+            .filter(parsed => parsed && parsed.device === device)
+            .map(parsed => parsed.code);
+    }
+
+    /**
+     * Command that would clash with binding this input to `command` (null if none)
+     */
+    findConflict(command, binding) {
+        const scope = getScope(command);
+
+        for (const overlapping of getOverlappingBindings(binding)) {
+            const conflict = this.getCommands(overlapping).find(other =>
+                other !== command && scopesOverlap(scope, getScope(other))
+            );
+            if (conflict) {
+                return conflict;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Take an input (and the inputs that fire with it) away from a command
+     */
+    release(command, binding) {
+        for (const overlapping of getOverlappingBindings(binding)) {
+            this.remove(command, overlapping);
+        }
+    }
+
+    /**
+     * Bind an input to a command
+     * With force, the input is taken away from a conflicting command
+     */
+    add(command, binding, force = false) {
+        if (!BINDABLE_COMMANDS.includes(command)) {
+            return { success: false, reason: 'unknown-command' };
+        }
+        if (!parseBinding(binding)) {
+            return { success: false, reason: 'invalid-binding' };
+        }
+        if (this.isBound(binding, command)) {
+            return { success: true };
+        }
+
+        const conflict = this.findConflict(command, binding);
+        if (conflict) {
+            if (!force) {
+                return { success: false, reason: 'conflict', conflict: conflict };
+            }
+            this.release(conflict, binding);
+        }
+
+        this.bindings[command] = [...this.getBindings(command), binding];
+        this.rebuildIndex();
+
+        return { success: true, moved: conflict };
+    }
+
+    /**
+     * Unbind an input from a command
+     */
+    remove(command, binding) {
+        this.bindings[command] = this.getBindings(command).filter(b => b !== binding);
+        this.rebuildIndex();
+    }
+
+    /**
+     * Restore the default bindings
+     */
+    reset() {
+        this.bindings = {};
+        for (const command of BINDABLE_COMMANDS) {
+            this.bindings[command] = [...DEFAULT_BINDINGS[command]];
+        }
+        this.rebuildIndex();
+    }
+
+    rebuildIndex() {
+        this.commandsByBinding.clear();
+
+        for (const [command, bindings] of Object.entries(this.bindings)) {
+            for (const binding of bindings) {
+                const commands = this.commandsByBinding.get(binding) || [];
+                commands.push(command);
+                this.commandsByBinding.set(binding, commands);
+            }
+        }
+    }
+
+    /**
+     * Replace the table with saved or imported bindings
+     * Accepts { version, bindings } or a bare command -> bindings object
+     * Commands missing from the data keep their defaults, minus inputs the data
+     * gives to another command (files saved before a command existed still load)
+     */
+    load(data) {
+        const table = data && typeof data === 'object' && data.bindings ? data.bindings : data;
+
+        if (!table || typeof table !== 'object' || Array.isArray(table)) {
+            return { success: false, reason: 'Not a bindings file' };
+        }
+
+        const next = new InputBindings();
+
+        for (const [command, bindings] of Object.entries(table)) {
+            if (!BINDABLE_COMMANDS.includes(command)) {
+                return { success: false, reason: `Unknown command "${command}"` };
+            }
+            if (!Array.isArray(bindings)) {
+                return { success: false, reason: `Bindings for ${COMMAND_LABELS[command]} must be a list` };
+            }
+            next.bindings[command] = [];
+        }
+        next.rebuildIndex();
+
+        const listed = Object.keys(table);
+
+        for (const [command, bindings] of Object.entries(table)) {
+            for (const binding of new Set(bindings)) {
+                const conflict = next.findConflict(command, binding);
+                if (conflict && !listed.includes(conflict)) {
+                    next.release(conflict, binding);
+                }
+
+                const result = next.add(command, binding);
+
+                if (result.reason === 'invalid-binding') {
+                    return { success: false, reason: `Unknown input "${binding}"` };
+                }
+                if (result.reason === 'conflict') {
+                    return {
+                        success: false,
+                        reason: `${describeBinding(binding)} is bound to both ${COMMAND_LABELS[result.conflict]} and ${COMMAND_LABELS[command]}`
+                    };
+                }
+            }
+        }
+
+        // Older files list commands without the bindings they always had then
+        const version = table === data ? BINDINGS_FORMAT_VERSION : data.version;
+        for (const [since, added] of Object.entries(ADDED_BINDINGS)) {
+            if (version >= Number(since)) continue;
+
+            for (const [command, bindings] of Object.entries(added)) {
+                for (const binding of bindings) {
+                    if (listed.includes(command) && !next.findConflict(command, binding)) {
+                        next.add(command, binding);
+                    }
+                }
+            }
+        }
+
+        this.bindings = next.bindings;
+        this.rebuildIndex();
+
+        return { success: true };
+    }
+
+    /**
+     * Serializable form (what load() and the export file take)
+     */
+    toJSON() {
+        const bindings = {};
+        for (const command of BINDABLE_COMMANDS) {
+            bindings[command] = [...this.getBindings(command)];
+        }
+
+        return { version: BINDINGS_FORMAT_VERSION, bindings: bindings };
+    }
+}
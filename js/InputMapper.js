@@ -2,27 +2,65 @@
  * InputMapper - Input Abstraction Layer
  * 
  * Responsible for:
- * - Registering multiple input sources (CV, keyboard, mouse)
- * - Mapping raw inputs to logical game commands
- * - Managing input priority (CV primary, fallback secondary)
+ * - Registering multiple input sources (CV, keyboard, mouse, gamepad, touch)
+ * - Mapping raw inputs to logical game commands through the binding table
+ * - Running every source at once and handing steering to the one used last
  * - Providing unified input interface to game logic
+ * - Dispatching command press/release events to subscribers
+ * - Assigning hands to steering/action roles in two-hand mode
+ * - Turning FeatureProcessor gesture start/end events into commands
  */
 
-// Game command constants
-export const Commands = {
-    MOVE_HORIZONTAL: 'MOVE_HORIZONTAL',
-    MOVE_VERTICAL: 'MOVE_VERTICAL',
-    ACTION_PRIMARY: 'ACTION_PRIMARY',
-    PAUSE: 'PAUSE',
-    RESTART: 'RESTART',
-    START: 'START'
-};
+import { loadPreference, savePreference } from './Preferences.js';
+import { Handedness, ScreenSide } from './CVEngine.js';
+import { TemporalGesture } from './TemporalGestureDetector.js';
+import { GamepadInput } from './GamepadInput.js';
+import { TouchInput } from './TouchInput.js';
+import { Commands, CommandPhase } from './Commands.js';
+import {
+    InputBindings, PLAYER_COMMANDS, BindingDevice, HOLD_GESTURE_PREFIX, TWO_HAND_GESTURE_PREFIX, parseBinding
+} from './InputBindings.js';
+
+export { Commands, CommandPhase };
+
+const HAND_PREFERENCE_KEY = 'handControls';
+const BINDINGS_PREFERENCE_KEY = 'inputBindings';
+
+// Commands fired by a press rather than read every frame
+const ONE_SHOT_COMMANDS = [Commands.PAUSE, Commands.RESTART, Commands.START, Commands.DASH];
+
+// How long poses are held still before "gesture:hold:<pose>" fires (1 s otherwise);
+// the victory sign pauses by default, so it takes longer than a pause in steering
+export const HOLD_DURATIONS = { victory: 1500 };
 
 // Input source types
 export const InputSource = {
     CV: 'cv',
     KEYBOARD: 'keyboard',
-    MOUSE: 'mouse'
+    MOUSE: 'mouse',
+    GAMEPAD: 'gamepad',
+    TOUCH: 'touch'
+};
+
+// Steering priority when several sources are used in the same frame
+const SOURCE_PRIORITY = [
+    InputSource.TOUCH,
+    InputSource.GAMEPAD,
+    InputSource.KEYBOARD,
+    InputSource.MOUSE,
+    InputSource.CV
+];
+
+// Hand tracking modes
+export const HandMode = {
+    SINGLE: 'single',   // one hand steers and acts
+    DUAL: 'dual'        // one hand steers, the other acts
+};
+
+// How hands are told apart in two-player games
+export const PlayerAssignment = {
+    HANDEDNESS: 'handedness',   // P1 left hand, P2 right hand
+    SCREEN_HALF: 'screenHalf'   // P1 left half, P2 right half of the image
 };
 
 export class InputMapper {
@@ -31,10 +69,9 @@ export class InputMapper {
         this.currentInput = {
             horizontal: 0,       // -1 to 1
             vertical: 0,         // -1 to 1
+            depth: 0,            // 0 (resting) to 1 (pushed toward camera)
             actionPrimary: false,
-            pause: false,
-            restart: false,
-            start: false,
+            dash: null,          // { x, y } one-shot burst direction
             source: InputSource.KEYBOARD
         };
 
@@ -42,23 +79,59 @@ export class InputMapper {
         this.cvEnabled = false;
         this.fallbackEnabled = true;
 
+        // Latest hand tracking input; it steers again once the hand moves this far
+        // (game units, -1 to 1) from where it was when another source took over
+        this.cvInput = { horizontal: 0, vertical: 0, depth: 0, actionPrimary: false, gesture: 'none', moved: false };
+        this.cvAnchor = null;
+        this.cvReclaimDistance = 0.15;
+
+        // Hand roles (two-hand mode)
+        const handControls = loadPreference(HAND_PREFERENCE_KEY, {});
+        this.handMode = handControls.mode === HandMode.DUAL ? HandMode.DUAL : HandMode.SINGLE;
+        this.handRoles = { movement: Handedness.RIGHT, action: Handedness.LEFT };
+
+        // Gestures started and not yet ended, per hand key (undefined in one-hand mode)
+        this.activeGestures = new Map();
+        this.setMovementHand(handControls.movementHand || Handedness.RIGHT, false);
+
+        // Custom gesture type -> command (e.g. { 'custom:ok': 'PAUSE' })
+        this.gestureCommands = {};
+
+        // Physical input -> command table (keys, mouse, gamepad buttons, gestures)
+        this.bindings = new InputBindings(loadPreference(BINDINGS_PREFERENCE_KEY, null));
+
+        // Pending captureNextInput(): { resolve, reject }
+        this.capture = null;
+
+        // Local multiplayer
+        this.playerCount = 1;
+        this.playerAssignment = handControls.playerAssignment === PlayerAssignment.SCREEN_HALF ?
+            PlayerAssignment.SCREEN_HALF : PlayerAssignment.HANDEDNESS;
+        this.cvPlayers = [];
+
         // Keyboard state
         this.keys = {};
 
         // Mouse state
-        this.mouse = { x: 0, y: 0, clicked: false };
+        this.mouse = { x: 0, y: 0, buttons: {}, moved: false };
         this.mouseArea = { width: 1, height: 1 };
 
+        // Gamepads (the last pad moved keeps steering while idle)
+        this.gamepads = new GamepadInput();
+        this.gamepadStates = [];
+        this.lastPad = null;
+        this.applyGamepadBindings();
+
+        // Touch
+        this.touch = new TouchInput();
+
+        // Command events: listeners get { command, phase, source, timestamp, duration }
+        this.commandListeners = new Set();
+        this.heldCommands = new Map();  // command -> { source, since }
+
         // Callbacks
         this.onInputSourceChange = null;
-        this.onCommand = null;
-
-        // Command cooldowns (for one-shot commands)
-        this.commandCooldowns = {
-            pause: false,
-            restart: false,
-            start: false
-        };
+        this.onCommand = null;          // Same events as the listeners
 
         // Bind event handlers
         this.handleKeyDown = this.handleKeyDown.bind(this);
@@ -70,8 +143,9 @@ export class InputMapper {
 
     /**
      * Initialize input listeners
+     * touchControls: { shieldButton, pauseButton } on-screen buttons
      */
-    init(canvas) {
+    init(canvas, touchControls = {}) {
         // Keyboard
         window.addEventListener('keydown', this.handleKeyDown);
         window.addEventListener('keyup', this.handleKeyUp);
@@ -87,6 +161,21 @@ export class InputMapper {
         window.addEventListener('mousedown', this.handleMouseDown);
         window.addEventListener('mouseup', this.handleMouseUp);
 
+        // Gamepad (it takes over steering, and the HUD badge, once its stick moves)
+        this.gamepads.onDisconnect = () => {
+            if (this.gamepads.poll().length === 0) {
+                this.lastPad = null;
+                if (this.currentInput.source === InputSource.GAMEPAD) {
+                    this.setSource(this.getDefaultSource());
+                }
+            }
+        };
+        this.gamepads.init();
+
+        // Touch
+        this.touch.onFirstTouch = () => this.setSource(InputSource.TOUCH);
+        this.touch.init(canvas, touchControls);
+
         return this;
     }
 
@@ -95,7 +184,7 @@ export class InputMapper {
      */
     enableCV() {
         this.cvEnabled = true;
-        this.notifySourceChange(InputSource.CV);
+        this.setSource(InputSource.CV, true);
     }
 
     /**
@@ -103,7 +192,82 @@ export class InputMapper {
      */
     disableCV() {
         this.cvEnabled = false;
-        this.notifySourceChange(InputSource.KEYBOARD);
+        this.cvInput = { horizontal: 0, vertical: 0, depth: 0, actionPrimary: false, gesture: 'none', moved: false };
+        this.cvPlayers = [];
+        this.activeGestures.clear();
+        this.setSource(InputSource.KEYBOARD, true);
+    }
+
+    /**
+     * Switch between one-hand and two-hand control
+     */
+    setHandMode(mode) {
+        this.handMode = mode === HandMode.DUAL ? HandMode.DUAL : HandMode.SINGLE;
+        this.clearGestures();
+        this.saveHandControls();
+    }
+
+    /**
+     * Choose which hand steers (the other one does actions)
+     */
+    setMovementHand(hand, persist = true) {
+        const movement = hand === Handedness.LEFT ? Handedness.LEFT : Handedness.RIGHT;
+
+        this.handRoles = {
+            movement: movement,
+            action: movement === Handedness.LEFT ? Handedness.RIGHT : Handedness.LEFT
+        };
+        this.clearGestures();
+
+        if (persist) {
+            this.saveHandControls();
+        }
+    }
+
+    /**
+     * Persist hand mode and roles
+     */
+    saveHandControls() {
+        savePreference(HAND_PREFERENCE_KEY, {
+            mode: this.handMode,
+            movementHand: this.handRoles.movement,
+            playerAssignment: this.playerAssignment
+        });
+    }
+
+    /**
+     * Set the number of local players (1 or 2)
+     */
+    setPlayerCount(count) {
+        this.playerCount = count;
+        this.cvPlayers = [];
+        this.clearGestures();
+    }
+
+    /**
+     * Choose how hands map to players (handedness or screen half)
+     */
+    setPlayerAssignment(assignment) {
+        this.playerAssignment = assignment === PlayerAssignment.SCREEN_HALF ?
+            PlayerAssignment.SCREEN_HALF : PlayerAssignment.HANDEDNESS;
+        this.cvPlayers = [];
+        this.clearGestures();
+        this.saveHandControls();
+    }
+
+    /**
+     * Map custom gestures to commands
+     */
+    setGestureCommands(gestureCommands) {
+        this.gestureCommands = { ...gestureCommands };
+    }
+
+    /**
+     * Key used to group hands into per-player streams
+     */
+    getPlayerHandKey(hand) {
+        return this.playerAssignment === PlayerAssignment.SCREEN_HALF ?
+            hand.side : hand.handedness;
     }
 
     /**
@@ -114,45 +278,311 @@ export class InputMapper {
             return;
         }
 
-        // Map CV position to movement
-        this.currentInput.horizontal = processedData.normalizedX;
-        this.currentInput.vertical = processedData.normalizedY;
+        this.updateCVPosition(processedData);
+        this.cvInput.gesture = processedData.gesture;
+    }
+
+    /**
+     * Process per-hand CV input (two-hand mode)
+     * The movement hand steers, the action hand shields and pauses
+     */
+    processCVHands(handData) {
+        if (!this.cvEnabled || !handData) {
+            return;
+        }
+
+        const movement = handData[this.handRoles.movement];
+        const action = handData[this.handRoles.action];
 
-        // Map gestures to actions
-        this.currentInput.actionPrimary =
-            processedData.gesture === 'pinch' ||
-            processedData.gesture === 'fist';
+        if (movement) {
+            this.updateCVPosition(movement);
+        }
 
-        this.currentInput.source = InputSource.CV;
+        this.cvInput.gesture = action ? action.gesture : 'none';
     }
 
     /**
-     * Handle keyboard down events
+     * Store the steering hand's position and note if it moved enough to take over
      */
-    handleKeyDown(event) {
-        this.keys[event.code] = true;
+    updateCVPosition(data) {
+        this.cvInput.horizontal = data.normalizedX;
+        this.cvInput.vertical = data.normalizedY;
+        this.cvInput.depth = data.normalizedZ || 0;
+
+        // Positions held or glided while the hand is lost don't count as moving it
+        if (this.currentInput.source === InputSource.CV || data.handLost) {
+            return;
+        }
+
+        const position = { x: data.normalizedX, y: data.normalizedY };
+
+        if (!this.cvAnchor) {
+            this.cvAnchor = position;
+        } else if (Math.hypot(position.x - this.cvAnchor.x, position.y - this.cvAnchor.y) >= this.cvReclaimDistance) {
+            this.cvInput.moved = true;
+        }
+    }
+
+    /**
+     * Process per-player CV input (two-player mode)
+     * Each hand steers and shields for its own player
+     */
+    processCVPlayers(handData) {
+        if (!this.cvEnabled || !handData) {
+            return;
+        }
+
+        this.cvPlayers = this.getPlayerHandKeys().map((key, index) => {
+            const data = handData[key];
+            const previous = this.cvPlayers[index];
+
+            if (!data) {
+                return previous || { horizontal: 0, vertical: 0, depth: 0, actionPrimary: false, gesture: 'none' };
+            }
+
+            return {
+                horizontal: data.normalizedX,
+                vertical: data.normalizedY,
+                depth: data.normalizedZ || 0,
+                actionPrimary: this.hasActionGesture(key),
+                gesture: data.gesture
+            };
+        });
+
+        // Player 1's hand drives the menus
+        const first = this.cvPlayers[0];
+        this.cvInput.horizontal = first.horizontal;
+        this.cvInput.vertical = first.vertical;
+        this.cvInput.gesture = first.gesture;
+    }
+
+    /**
+     * Hand keys of player 1 and player 2
+     */
+    getPlayerHandKeys() {
+        return this.playerAssignment === PlayerAssignment.SCREEN_HALF ?
+            [ScreenSide.LEFT, ScreenSide.RIGHT] :
+            [Handedness.LEFT, Handedness.RIGHT];
+    }
+
+    /**
+     * Key of the hand whose gestures trigger commands
+     * (the action hand, player 1's hand, or undefined for the single hand)
+     */
+    getActionHandKey() {
+        if (this.playerCount > 1) {
+            return this.getPlayerHandKeys()[0];
+        }
+        return this.handMode === HandMode.DUAL ? this.handRoles.action : undefined;
+    }
+
+    /**
+     * Hand position and pose for pointing at menu buttons (null without hand tracking)
+     * Returns { x, y, gesture } with x/y from -1 to 1
+     */
+    getHandPointer() {
+        if (!this.cvEnabled) {
+            return null;
+        }
+
+        return {
+            x: this.cvInput.horizontal,
+            y: this.cvInput.vertical,
+            gesture: this.cvInput.gesture
+        };
+    }
+
+    /**
+     * Commands a gesture triggers (bindings plus the custom gesture's own command)
+     */
+    getGestureCommands(gesture) {
+        const commands = [...this.bindings.getCommands(`${BindingDevice.GESTURE}:${gesture}`)];
 
-        // One-shot commands
-        if (event.code === 'Escape' || event.code === 'KeyP') {
-            if (!this.commandCooldowns.pause) {
-                this.currentInput.pause = true;
-                this.commandCooldowns.pause = true;
+        // Two-hand-only bindings (by default, pointing with the action hand pauses)
+        if (this.handMode === HandMode.DUAL && this.playerCount === 1) {
+            const binding = `${BindingDevice.GESTURE}:${TWO_HAND_GESTURE_PREFIX}${gesture}`;
+            for (const command of this.bindings.getCommands(binding)) {
+                if (!commands.includes(command)) {
+                    commands.push(command);
+                }
             }
         }
 
-        if (event.code === 'KeyR') {
-            if (!this.commandCooldowns.restart) {
-                this.currentInput.restart = true;
-                this.commandCooldowns.restart = true;
+        if (this.gestureCommands[gesture] && !commands.includes(this.gestureCommands[gesture])) {
+            commands.push(this.gestureCommands[gesture]);
+        }
+
+        return commands;
+    }
+
+    /**
+     * Check if a gesture holds the primary action (shield)
+     */
+    isActionGesture(gesture) {
+        return this.getGestureCommands(gesture).includes(Commands.ACTION_PRIMARY);
+    }
+
+    /**
+     * Check if a hand has a gesture going that holds the primary action
+     */
+    hasActionGesture(hand) {
+        const gestures = this.activeGestures.get(hand);
+        return !!gestures && [...gestures].some(gesture => this.isActionGesture(gesture));
+    }
+
+    /**
+     * A gesture started (FeatureProcessor.onGestureStart)
+     * The acting hand's one-shot commands fire here, once per pose
+     */
+    processGestureStart(event) {
+        if (!this.cvEnabled || !event) {
+            return;
+        }
+
+        if (!this.activeGestures.has(event.hand)) {
+            this.activeGestures.set(event.hand, new Set());
+        }
+        this.activeGestures.get(event.hand).add(event.gesture);
+
+        if (event.hand !== this.getActionHandKey()) {
+            return;
+        }
+
+        // Events arrive before the frame's processed data, so the pointer
+        // already shows the pose whose commands are about to fire
+        this.cvInput.actionPrimary = this.hasActionGesture(event.hand);
+        this.cvInput.gesture = event.gesture;
+
+        if (this.captureInput(`${BindingDevice.GESTURE}:${event.gesture}`)) {
+            return;
+        }
+
+        for (const command of this.getGestureCommands(event.gesture)) {
+            if (ONE_SHOT_COMMANDS.includes(command)) {
+                this.triggerCommand(command, InputSource.CV);
             }
         }
+    }
+
+    /**
+     * A gesture ended (FeatureProcessor.onGestureEnd)
+     */
+    processGestureEnd(event) {
+        const gestures = event ? this.activeGestures.get(event.hand) : null;
+        if (!gestures) {
+            return;
+        }
+
+        gestures.delete(event.gesture);
+
+        if (event.hand === this.getActionHandKey()) {
+            this.cvInput.actionPrimary = this.hasActionGesture(event.hand);
+        }
+    }
+
+    /**
+     * Forget started gestures (hand roles changed, so old events no longer apply)
+     */
+    clearGestures() {
+        this.activeGestures.clear();
+        this.cvInput.actionPrimary = false;
+    }
+
+    /**
+     * Map dynamic gestures from TemporalGestureDetector through the bindings
+     * ("gesture:swipe-left", "gesture:hold:victory", ...)
+     */
+    processTemporalGesture(event) {
+        if (!this.cvEnabled || !event) {
+            return;
+        }
+
+        const gesture = event.type === TemporalGesture.HOLD ?
+            `${HOLD_GESTURE_PREFIX}${event.pose}` :
+            event.type;
+
+        if (this.captureInput(`${BindingDevice.GESTURE}:${gesture}`)) {
+            return;
+        }
 
-        if (event.code === 'Enter' || event.code === 'Space') {
-            if (!this.commandCooldowns.start && !this.currentInput.actionPrimary) {
-                this.currentInput.start = true;
-                this.commandCooldowns.start = true;
+        for (const command of this.getGestureCommands(gesture)) {
+            if (!ONE_SHOT_COMMANDS.includes(command)) {
+                continue;
             }
+            if (command === Commands.DASH) {
+                this.currentInput.dash = this.getSwipeDirection(event);
+            }
+            this.triggerCommand(command, InputSource.CV);
+        }
+    }
+
+    /**
+     * Dash direction of a swipe (null for other motions)
+     */
+    getSwipeDirection(event) {
+        switch (event.type) {
+            case TemporalGesture.SWIPE_LEFT:
+            case TemporalGesture.SWIPE_RIGHT:
+                // Same axis direction as CV steering (camera space)
+                return { x: Math.sign(event.dx), y: 0 };
+
+            case TemporalGesture.SWIPE_UP:
+            case TemporalGesture.SWIPE_DOWN:
+                return { x: 0, y: Math.sign(event.dy) };
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Unit direction the platform is being steered in (null while centered)
+     */
+    getSteeringDirection() {
+        // Small offsets are drift around center, not a direction
+        const axis = (value) => Math.abs(value) >= 0.25 ? Math.sign(value) : 0;
+        const x = axis(this.currentInput.horizontal);
+        const y = axis(this.currentInput.vertical);
+
+        return x !== 0 || y !== 0 ? { x: x, y: y } : null;
+    }
+
+    /**
+     * Handle keyboard down events
+     */
+    handleKeyDown(event) {
+        // Escape cancels a pending rebind instead of being captured
+        // (the focused "+" button mustn't swallow the key being bound)
+        if (this.capture && event.code === 'Escape') {
+            this.cancelCapture();
+            return;
         }
+        if (this.captureInput(`${BindingDevice.KEY}:${event.code}`)) {
+            event.preventDefault();
+            return;
+        }
+
+        // Typing in a settings field shouldn't steer or pause
+        if (this.isFormTarget(event)) {
+            return;
+        }
+
+        this.keys[event.code] = true;
+        this.pressOneShot(`${BindingDevice.KEY}:${event.code}`, InputSource.KEYBOARD);
+    }
+
+    /**
+     * Check if a key is meant for a settings field, or activates a focused button
+     */
+    isFormTarget(event) {
+        const target = event.target;
+
+        if (target instanceof HTMLInputElement || target instanceof HTMLSelectElement ||
+            target instanceof HTMLTextAreaElement || (target && target.isContentEditable)) {
+            return true;
+        }
+
+        return target instanceof HTMLButtonElement && (event.code === 'Space' || event.code === 'Enter');
     }
 
     /**
@@ -160,19 +590,133 @@ export class InputMapper {
      */
     handleKeyUp(event) {
         this.keys[event.code] = false;
+        this.releaseOneShot(`${BindingDevice.KEY}:${event.code}`);
+    }
+
+    /**
+     * Press the one-shot commands bound to an input (key repeat is ignored)
+     */
+    pressOneShot(binding, source) {
+        for (const command of this.bindings.getCommands(binding)) {
+            if (ONE_SHOT_COMMANDS.includes(command)) {
+                this.pressCommand(command, source);
+            }
+        }
+    }
+
+    /**
+     * Release the one-shot commands bound to an input
+     */
+    releaseOneShot(binding) {
+        for (const command of this.bindings.getCommands(binding)) {
+            if (ONE_SHOT_COMMANDS.includes(command)) {
+                this.releaseCommand(command);
+            }
+        }
+    }
+
+    /**
+     * Subscribe to command events, returns an unsubscribe function
+     * listener({ command, phase, source, timestamp, duration })
+     */
+    addCommandListener(listener) {
+        this.commandListeners.add(listener);
+        return () => this.removeCommandListener(listener);
+    }
+
+    /**
+     * Unsubscribe from command events
+     */
+    removeCommandListener(listener) {
+        this.commandListeners.delete(listener);
+    }
+
+    /**
+     * Start holding a command (ignored if it's already held)
+     */
+    pressCommand(command, source, timestamp = performance.now()) {
+        if (this.heldCommands.has(command)) {
+            return;
+        }
+
+        this.heldCommands.set(command, { source: source, since: timestamp });
+
+        // Swipes aim their own dash; other inputs dash the way the platform steers
+        if (command === Commands.DASH && !this.currentInput.dash) {
+            this.currentInput.dash = this.getSteeringDirection();
+        }
+
+        this.dispatchCommand({
+            command: command,
+            phase: CommandPhase.PRESS,
+            source: source,
+            timestamp: timestamp,
+            duration: 0
+        });
+    }
+
+    /**
+     * Stop holding a command, the event carries how long it was held
+     */
+    releaseCommand(command, timestamp = performance.now()) {
+        const held = this.heldCommands.get(command);
+        if (!held) {
+            return;
+        }
+
+        this.heldCommands.delete(command);
+        this.dispatchCommand({
+            command: command,
+            phase: CommandPhase.RELEASE,
+            source: held.source,
+            timestamp: timestamp,
+            duration: timestamp - held.since
+        });
+    }
+
+    /**
+     * Press and release right away (gestures, pad buttons read as one-shots)
+     */
+    triggerCommand(command, source) {
+        const timestamp = performance.now();
+        this.pressCommand(command, source, timestamp);
+        this.releaseCommand(command, timestamp);
+    }
 
-        // Reset cooldowns
-        if (event.code === 'Escape' || event.code === 'KeyP') {
-            this.commandCooldowns.pause = false;
-            this.currentInput.pause = false;
+    /**
+     * Follow a held state, dispatching on changes only
+     */
+    setCommandHeld(command, held, source) {
+        if (held) {
+            this.pressCommand(command, source);
+        } else {
+            this.releaseCommand(command);
         }
-        if (event.code === 'KeyR') {
-            this.commandCooldowns.restart = false;
-            this.currentInput.restart = false;
+    }
+
+    /**
+     * How long a command has been held (0 if it isn't)
+     */
+    getHoldDuration(command, timestamp = performance.now()) {
+        const held = this.heldCommands.get(command);
+        return held ? timestamp - held.since : 0;
+    }
+
+    /**
+     * Send an event to every subscriber (one failing doesn't stop the rest)
+     */
+    dispatchCommand(event) {
+        const listeners = [...this.commandListeners];
+        if (this.onCommand) {
+            listeners.push(this.onCommand);
         }
-        if (event.code === 'Enter' || event.code === 'Space') {
-            this.commandCooldowns.start = false;
-            this.currentInput.start = false;
+
+        for (const listener of listeners) {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error(`Command listener failed on ${event.command}:`, error);
+            }
         }
     }
 
@@ -182,86 +726,408 @@ export class InputMapper {
     handleMouseMove(event) {
         this.mouse.x = event.clientX;
         this.mouse.y = event.clientY;
+        this.mouse.moved = true;
     }
 
     /**
      * Handle mouse down
      */
     handleMouseDown(event) {
-        if (event.button === 0) {
-            this.mouse.clicked = true;
+        // Clicking buttons and settings is UI, not game input (nor a rebind)
+        if (event.target instanceof Element && event.target.closest('button, select, input, label, #settingsPanel')) {
+            return;
+        }
+        if (this.captureInput(`${BindingDevice.MOUSE}:${event.button}`)) {
+            return;
         }
+
+        this.mouse.buttons[event.button] = true;
+        this.pressOneShot(`${BindingDevice.MOUSE}:${event.button}`, InputSource.MOUSE);
     }
 
     /**
      * Handle mouse up
      */
     handleMouseUp(event) {
-        if (event.button === 0) {
-            this.mouse.clicked = false;
+        this.mouse.buttons[event.button] = false;
+        this.releaseOneShot(`${BindingDevice.MOUSE}:${event.button}`);
+    }
+
+    /**
+     * Check if any key or mouse button bound to a command is held
+     */
+    isCommandHeld(command) {
+        return this.bindings.getBindings(command).some(binding => {
+            const { device, code } = parseBinding(binding);
+
+            if (device === BindingDevice.KEY) return !!this.keys[code];
+            if (device === BindingDevice.MOUSE) return !!this.mouse.buttons[code];
+            return false;
+        });
+    }
+
+    /**
+     * Wait for the next key, mouse button, gamepad button or gesture
+     * Resolves with its binding ("key:KeyQ", "gesture:fist", ...); Escape rejects
+     */
+    captureNextInput() {
+        this.cancelCapture();
+
+        return new Promise((resolve, reject) => {
+            this.capture = { resolve: resolve, reject: reject };
+        });
+    }
+
+    /**
+     * Hand an input to a pending capture (returns true if it was captured)
+     */
+    captureInput(binding) {
+        if (!this.capture || !binding) {
+            return false;
         }
+
+        const capture = this.capture;
+        this.capture = null;
+        capture.resolve(binding);
+
+        return true;
     }
 
     /**
-     * Update fallback input state
+     * Abort a pending capture
      */
-    updateFallbackInput() {
-        if (this.cvEnabled) {
-            return;
+    cancelCapture() {
+        if (this.capture) {
+            const capture = this.capture;
+            this.capture = null;
+            capture.reject(new Error('Capture cancelled'));
+        }
+    }
+
+    /**
+     * Bind an input to a command and save (see InputBindings.add)
+     */
+    addBinding(command, binding, force = false) {
+        const result = this.bindings.add(command, binding, force);
+
+        if (result.success) {
+            this.saveBindings();
         }
 
-        // Keyboard movement
+        return result;
+    }
+
+    /**
+     * Unbind an input from a command and save
+     */
+    removeBinding(command, binding) {
+        this.bindings.remove(command, binding);
+        this.saveBindings();
+    }
+
+    /**
+     * Restore default bindings and save
+     */
+    resetBindings() {
+        this.bindings.reset();
+        this.saveBindings();
+    }
+
+    /**
+     * Replace all bindings from exported JSON data and save
+     */
+    importBindings(data) {
+        const result = this.bindings.load(data);
+
+        if (result.success) {
+            this.saveBindings();
+        }
+
+        return result;
+    }
+
+    /**
+     * Persist bindings and push the button layout to the gamepads
+     */
+    saveBindings() {
+        savePreference(BINDINGS_PREFERENCE_KEY, this.bindings.toJSON());
+        this.releaseAll();
+        this.applyGamepadBindings();
+    }
+
+    /**
+     * Tell GamepadInput which buttons do what
+     */
+    applyGamepadBindings() {
+        const buttons = (command) =>
+            this.bindings.getCodes(command, BindingDevice.GAMEPAD).map(Number);
+
+        this.gamepads.configure({
+            buttons: {
+                action: buttons(Commands.ACTION_PRIMARY),
+                depth: buttons(Commands.MOVE_DEPTH),
+                pause: buttons(Commands.PAUSE),
+                start: buttons(Commands.START),
+                restart: buttons(Commands.RESTART),
+                left: buttons(Commands.MOVE_LEFT),
+                right: buttons(Commands.MOVE_RIGHT),
+                up: buttons(Commands.MOVE_UP),
+                down: buttons(Commands.MOVE_DOWN)
+            }
+        });
+    }
+
+    /**
+     * Forget held keys and buttons (bindings changed under them)
+     */
+    releaseAll() {
+        this.keys = {};
+        this.mouse.buttons = {};
+        for (const command of [...this.heldCommands.keys()]) {
+            this.releaseCommand(command);
+        }
+    }
+
+    /**
+     * Read keyboard steering (null while no movement key is held)
+     */
+    readKeyboard() {
         let horizontal = 0;
         let vertical = 0;
 
-        if (this.keys['ArrowLeft'] || this.keys['KeyA']) horizontal -= 1;
-        if (this.keys['ArrowRight'] || this.keys['KeyD']) horizontal += 1;
-        if (this.keys['ArrowUp'] || this.keys['KeyW']) vertical -= 1;
-        if (this.keys['ArrowDown'] || this.keys['KeyS']) vertical += 1;
+        if (this.isCommandHeld(Commands.MOVE_LEFT)) horizontal -= 1;
+        if (this.isCommandHeld(Commands.MOVE_RIGHT)) horizontal += 1;
+        if (this.isCommandHeld(Commands.MOVE_UP)) vertical -= 1;
+        if (this.isCommandHeld(Commands.MOVE_DOWN)) vertical += 1;
 
-        // Check if using keyboard
-        const usingKeyboard = horizontal !== 0 || vertical !== 0;
+        const held = [Commands.MOVE_LEFT, Commands.MOVE_RIGHT, Commands.MOVE_UP, Commands.MOVE_DOWN]
+            .some(command => this.isCommandHeld(command));
 
-        if (usingKeyboard) {
-            this.currentInput.horizontal = horizontal;
-            this.currentInput.vertical = vertical;
-            this.currentInput.source = InputSource.KEYBOARD;
-        } else {
-            // Use mouse position
-            const mouseX = (this.mouse.x / window.innerWidth) * 2 - 1;
-            const mouseY = (this.mouse.y / window.innerHeight) * 2 - 1;
+        return { horizontal: horizontal, vertical: vertical, active: held };
+    }
+
+    /**
+     * Read mouse steering (active when the pointer moved since the last frame)
+     */
+    readMouse() {
+        return {
+            horizontal: (this.mouse.x / window.innerWidth) * 2 - 1,
+            vertical: (this.mouse.y / window.innerHeight) * 2 - 1,
+            active: this.mouse.moved
+        };
+    }
 
-            this.currentInput.horizontal = mouseX;
-            this.currentInput.vertical = mouseY;
-            this.currentInput.source = InputSource.MOUSE;
+    /**
+     * Apply gamepad state - Start/Select work from any pad
+     */
+    processGamepads(pads) {
+        this.gamepadStates = pads;
+
+        // A pending rebind takes the first button pressed and nothing else
+        const pressedPad = pads.find(pad => pad.pressed.length > 0);
+        if (pressedPad && this.captureInput(`${BindingDevice.GAMEPAD}:${pressedPad.pressed[0]}`)) {
+            return;
         }
 
-        // Action from spacebar or mouse click
-        this.currentInput.actionPrimary =
-            this.keys['Space'] ||
-            this.mouse.clicked;
+        for (const pad of pads) {
+            if (pad.pause) this.triggerCommand(Commands.PAUSE, InputSource.GAMEPAD);
+            if (pad.start) this.triggerCommand(Commands.START, InputSource.GAMEPAD);
+            if (pad.restart) this.triggerCommand(Commands.RESTART, InputSource.GAMEPAD);
+        }
+    }
+
+    /**
+     * Pick the steering source: the one used this frame, or whoever steered last
+     * A source that keeps being used keeps control; otherwise SOURCE_PRIORITY breaks ties
+     */
+    selectSource(active) {
+        const current = this.currentInput.source;
+
+        if (active[current]) {
+            return current;
+        }
+
+        return SOURCE_PRIORITY.find(source => active[source]) || current;
+    }
+
+    /**
+     * Change the steering source and tell listeners
+     */
+    setSource(source, notify = false) {
+        const changed = source !== this.currentInput.source;
+        this.currentInput.source = source;
+
+        // The hand has to move from wherever it is now to take over again
+        if (changed && source !== InputSource.CV) {
+            this.cvAnchor = null;
+            this.cvInput.moved = false;
+        }
+
+        if (changed || notify) {
+            this.notifySourceChange(source);
+        }
+    }
+
+    /**
+     * Source to fall back on when the steering one goes away
+     */
+    getDefaultSource() {
+        return this.cvEnabled ? InputSource.CV : InputSource.KEYBOARD;
+    }
+
+    /**
+     * Build per-player input from the split keyboard layout
+     */
+    getKeyboardPlayers() {
+        return PLAYER_COMMANDS.slice(0, this.playerCount).map(commands => {
+            let horizontal = 0;
+            let vertical = 0;
+
+            if (this.isCommandHeld(commands.left)) horizontal -= 1;
+            if (this.isCommandHeld(commands.right)) horizontal += 1;
+            if (this.isCommandHeld(commands.up)) vertical -= 1;
+            if (this.isCommandHeld(commands.down)) vertical += 1;
+
+            return {
+                horizontal: horizontal,
+                vertical: vertical,
+                depth: this.isCommandHeld(commands.depth) ? 1 : 0,
+                actionPrimary: this.isCommandHeld(commands.action)
+            };
+        });
     }
 
     /**
      * Get current input state (game logic calls this)
+     * Every source is read; steering follows the one used last, shield and depth
+     * come from any of them
      */
     getInput() {
-        // Update fallback if CV not enabled
-        if (!this.cvEnabled) {
-            this.updateFallbackInput();
+        const touch = this.touch.used ? this.touch.poll() : null;
+        if (touch && touch.pause) {
+            this.triggerCommand(Commands.PAUSE, InputSource.TOUCH);
+        }
+
+        this.processGamepads(this.gamepads.poll());
+
+        const keyboard = this.readKeyboard();
+        const mouse = this.readMouse();
+        const movedPad = this.gamepadStates.find(pad => pad.horizontal !== 0 || pad.vertical !== 0);
+        if (movedPad) {
+            this.lastPad = movedPad.index;
         }
+        const pad = this.gamepadStates.find(state => state.index === this.lastPad) || null;
+
+        const source = this.selectSource({
+            [InputSource.TOUCH]: !!touch && touch.steering,
+            [InputSource.GAMEPAD]: !!movedPad,
+            [InputSource.KEYBOARD]: keyboard.active,
+            [InputSource.MOUSE]: mouse.active,
+            [InputSource.CV]: this.cvEnabled && this.cvInput.moved
+        });
+
+        // Keep the hand's anchor fresh while another source is in use
+        if (source !== InputSource.CV && source === this.currentInput.source &&
+            (keyboard.active || mouse.active || movedPad || (touch && touch.steering))) {
+            this.cvAnchor = null;
+        }
+        this.cvInput.moved = false;
+        this.mouse.moved = false;
+
+        this.setSource(source);
+
+        // Steering from the chosen source
+        const steering = {
+            [InputSource.TOUCH]: touch,
+            [InputSource.GAMEPAD]: pad,
+            [InputSource.KEYBOARD]: keyboard,
+            [InputSource.MOUSE]: mouse,
+            [InputSource.CV]: this.cvEnabled ? this.cvInput : null
+        }[source];
+
+        if (steering) {
+            this.currentInput.horizontal = steering.horizontal;
+            this.currentInput.vertical = steering.vertical;
+        }
+
+        // Shield and depth from anything that holds them
+        const pads = this.gamepadStates;
+        this.currentInput.actionPrimary =
+            this.isCommandHeld(Commands.ACTION_PRIMARY) ||
+            (this.cvEnabled && this.cvInput.actionPrimary) ||
+            (!!touch && touch.actionPrimary) ||
+            pads.some(state => state.actionPrimary);
+        this.currentInput.depth = Math.max(
+            this.isCommandHeld(Commands.MOVE_DEPTH) ? 1 : 0,
+            source === InputSource.CV ? this.cvInput.depth : 0,
+            ...pads.map(state => state.depth)
+        );
 
         // Create copy to avoid mutation
         const input = { ...this.currentInput };
 
-        // Reset one-shot commands after reading
-        this.currentInput.pause = false;
-        this.currentInput.restart = false;
-        this.currentInput.start = false;
+        // Two players: one entry each, player 1 mirrored at the top level
+        if (this.playerCount > 1) {
+            input.players = this.getPlayers(touch);
+            Object.assign(input, input.players[0]);
+        }
+
+        // Held commands follow the merged input (player 1 in two-player games)
+        this.setCommandHeld(Commands.ACTION_PRIMARY, input.actionPrimary, input.source);
+        this.setCommandHeld(Commands.MOVE_DEPTH, input.depth > 0.5, input.source);
+
+        // Reset one-shot state after reading
+        this.currentInput.dash = null;
 
         return input;
     }
 
+    /**
+     * Per-player input for two-player games
+     * Each player's keys override their hand while held; touch steers player 1
+     * and pad N drives player N+1 while it's being used
+     */
+    getPlayers(touch) {
+        const keyboardPlayers = this.getKeyboardPlayers();
+
+        const players = keyboardPlayers.map((keyboard, index) => {
+            const hand = this.cvEnabled ? this.cvPlayers[index] : null;
+            const keysHeld = keyboard.horizontal !== 0 || keyboard.vertical !== 0;
+
+            if (!hand || keysHeld) {
+                return { ...keyboard, actionPrimary: keyboard.actionPrimary || (!!hand && hand.actionPrimary) };
+            }
+
+            return {
+                ...hand,
+                depth: Math.max(hand.depth, keyboard.depth),
+                actionPrimary: hand.actionPrimary || keyboard.actionPrimary
+            };
+        });
+
+        if (touch && (touch.steering || this.currentInput.source === InputSource.TOUCH)) {
+            players[0] = {
+                horizontal: touch.horizontal,
+                vertical: touch.vertical,
+                depth: 0,
+                actionPrimary: touch.actionPrimary || players[0].actionPrimary
+            };
+        }
+
+        this.gamepadStates.slice(0, this.playerCount).forEach((pad, index) => {
+            if (pad.active) {
+                players[index] = {
+                    horizontal: pad.horizontal,
+                    vertical: pad.vertical,
+                    depth: pad.depth,
+                    actionPrimary: pad.actionPrimary
+                };
+            }
+        });
+
+        return players;
+    }
+
     /**
      * Check if CV is the active input source
      */
@@ -272,12 +1138,19 @@ export class InputMapper {
     /**
      * Get current input source name for display
      */
-    getInputSourceName() {
-        if (this.cvEnabled) {
-            return '🎥 Gesture';
+    getInputSourceName(source = this.currentInput.source) {
+        switch (source) {
+            case InputSource.CV:
+                return '🎥 Gesture';
+            case InputSource.GAMEPAD:
+                return '🎮 Gamepad';
+            case InputSource.TOUCH:
+                return '👆 Touch';
+            case InputSource.MOUSE:
+                return '🖱️ Mouse';
+            default:
+                return '⌨️ Keyboard';
         }
-        return this.currentInput.source === InputSource.KEYBOARD ?
-            '⌨️ Keyboard' : '🖱️ Mouse';
     }
 
     /**
@@ -285,7 +1158,7 @@ export class InputMapper {
      */
     notifySourceChange(source) {
         if (this.onInputSourceChange) {
-            this.onInputSourceChange(source, this.getInputSourceName());
+            this.onInputSourceChange(source, this.getInputSourceName(source));
         }
     }
 
@@ -304,14 +1177,12 @@ export class InputMapper {
         this.currentInput = {
             horizontal: 0,
             vertical: 0,
+            depth: 0,
             actionPrimary: false,
-            pause: false,
-            restart: false,
-            start: false,
-            source: this.cvEnabled ? InputSource.CV : InputSource.KEYBOARD
+            dash: null,
+            source: this.getDefaultSource()
         };
-        this.keys = {};
-        this.mouse.clicked = false;
+        this.releaseAll();
     }
 
     /**
@@ -323,5 +1194,10 @@ export class InputMapper {
         window.removeEventListener('mousemove', this.handleMouseMove);
         window.removeEventListener('mousedown', this.handleMouseDown);
         window.removeEventListener('mouseup', this.handleMouseUp);
+        this.cancelCapture();
+        this.commandListeners.clear();
+        this.onCommand = null;
+        this.gamepads.dispose();
+        this.touch.dispose();
     }
 }
@@ -0,0 +1,335 @@
+/**
+ * InputRecorder - Input Recording and Deterministic Replay
+ *
+ * Responsible for:
+ * - Recording the per-frame input GameController.update receives, with deltaTime
+ * - Storing the game's seed, mode and depth mode alongside it as compact JSON
+ * - Feeding a recording back into GameController to reproduce the game exactly
+ * - Checking that a replay ends the way the recorded game did
+ *
+ * Each frame is a flat array: [deltaTime, horizontal, vertical, depth, action]
+ * per player, plus [dashX, dashY] when a single player dashes. Values are
+ * rounded before the game sees them, so the live game and its replay get
+ * identical numbers. Objects in the frame list are settings changes
+ * (e.g. { depthMode: 'boost' }).
+ */
+
+import { GameState, GameMode, DepthMode } from './GameController.js';
+
+export const REPLAY_FORMAT_VERSION = 1;
+
+// Decimal places kept for deltaTime and analog values
+const PRECISION = 1e4;
+
+// `|| 0` turns -0 into 0, which JSON would do anyway
+const round = (value) => Math.round((value || 0) * PRECISION) / PRECISION || 0;
+
+const getPlayerCount = (mode) => mode === GameMode.SINGLE ? 1 : 2;
+
+/**
+ * The parts of GameController.getStats() a replay must reproduce
+ */
+function getResult(stats) {
+    return {
+        score: stats.score,
+        maxCombo: stats.maxCombo,
+        orbsCaught: stats.orbsCaught,
+        level: stats.level,
+        players: stats.players,
+        winner: stats.winner
+    };
+}
+
+/**
+ * Flatten one frame's input into an array
+ */
+export function encodeFrame(deltaTime, input, playerCount = 1) {
+    const players = playerCount > 1 && input.players ? input.players.slice(0, playerCount) : [input];
+    const frame = [round(deltaTime)];
+
+    for (const player of players) {
+        frame.push(
+            round(player.horizontal),
+            round(player.vertical),
+            round(player.depth),
+            player.actionPrimary ? 1 : 0
+        );
+    }
+
+    // Dashes only move a lone player
+    if (playerCount === 1 && input.dash) {
+        frame.push(round(input.dash.x), round(input.dash.y));
+    }
+
+    return frame;
+}
+
+/**
+ * Turn a recorded array back into { deltaTime, input }
+ */
+export function decodeFrame(frame, playerCount = 1) {
+    const players = [];
+
+    for (let i = 0; i < playerCount; i++) {
+        const offset = 1 + i * 4;
+        players.push({
+            horizontal: frame[offset] || 0,
+            vertical: frame[offset + 1] || 0,
+            depth: frame[offset + 2] || 0,
+            actionPrimary: frame[offset + 3] === 1
+        });
+    }
+
+    const dashOffset = 1 + playerCount * 4;
+    const input = {
+        ...players[0],
+        dash: frame.length >= dashOffset + 2 ? { x: frame[dashOffset], y: frame[dashOffset + 1] } : null
+    };
+
+    if (playerCount > 1) {
+        input.players = players;
+    }
+
+    return { deltaTime: frame[0], input: input };
+}
+
+/**
+ * Records one game at a time
+ */
+export class InputRecorder {
+    constructor() {
+        this.recording = null;
+    }
+
+    /**
+     * Begin recording a new game
+     */
+    start({ seed, mode, depthMode }) {
+        this.recording = {
+            version: REPLAY_FORMAT_VERSION,
+            seed: seed,
+            mode: mode,
+            depthMode: depthMode,
+            recordedAt: new Date().toISOString(),
+            frames: []
+        };
+    }
+
+    /**
+     * Check if a game is being recorded
+     */
+    isRecording() {
+        return this.recording !== null;
+    }
+
+    /**
+     * Store a frame and return the { deltaTime, input } the game should use
+     */
+    record(deltaTime, input) {
+        const playerCount = getPlayerCount(this.recording.mode);
+        const frame = encodeFrame(deltaTime, input, playerCount);
+
+        this.recording.frames.push(frame);
+
+        return decodeFrame(frame, playerCount);
+    }
+
+    /**
+     * Note a mid-game settings change that affects gameplay
+     */
+    recordSettings(settings) {
+        if (this.recording) {
+            this.recording.frames.push({ ...settings });
+        }
+    }
+
+    /**
+     * Finish the recording with the final stats, returns the replay data
+     */
+    stop(stats = null) {
+        const recording = this.recording;
+        this.recording = null;
+
+        if (recording && stats) {
+            recording.score = stats.score;
+            recording.result = {
+                ...getResult(stats),
+                frames: recording.frames.filter(Array.isArray).length
+            };
+        }
+
+        return recording;
+    }
+
+    /**
+     * Drop the current recording
+     */
+    cancel() {
+        this.recording = null;
+    }
+}
+
+/**
+ * Plays a recording back into a GameController
+ */
+export class InputReplay {
+    constructor() {
+        this.data = null;
+        this.index = 0;
+        this.clock = 0;         // Real time played back (s)
+        this.gameTime = 0;      // Recorded time applied (s)
+    }
+
+    /**
+     * Load replay data (what InputRecorder.stop returns, or its JSON file)
+     */
+    load(data) {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.frames)) {
+            return { success: false, reason: 'Not a replay file' };
+        }
+        if (data.version !== REPLAY_FORMAT_VERSION) {
+            return { success: false, reason: `Unsupported replay version ${data.version}` };
+        }
+        if (!Number.isInteger(data.seed) || !GameMode[data.mode]) {
+            return { success: false, reason: 'Replay is missing its seed or game mode' };
+        }
+
+        const playerCount = getPlayerCount(data.mode);
+        const minLength = 1 + playerCount * 4;
+
+        const badFrame = data.frames.findIndex(frame => Array.isArray(frame) ?
+            frame.length < minLength || !frame.every(Number.isFinite) :
+            !frame || typeof frame !== 'object');
+
+        if (badFrame !== -1) {
+            return { success: false, reason: `Frame ${badFrame + 1} is malformed` };
+        }
+
+        this.data = {
+            ...data,
+            playerCount: playerCount,
+            depthMode: Object.values(DepthMode).includes(data.depthMode) ? data.depthMode : DepthMode.OFF
+        };
+        this.rewind();
+
+        return { success: true };
+    }
+
+    /**
+     * Back to the first frame
+     */
+    rewind() {
+        this.index = 0;
+        this.clock = 0;
+        this.gameTime = 0;
+    }
+
+    /**
+     * Set up a controller the way the recorded game began
+     */
+    begin(controller) {
+        this.rewind();
+
+        // Modes only change outside a game
+        const state = controller.getState();
+        if (state === GameState.PLAYING || state === GameState.PAUSED) {
+            controller.quit();
+        }
+
+        controller.setMode(this.data.mode);
+        controller.setDepthMode(this.data.depthMode);
+        controller.restart(this.data.seed);
+    }
+
+    /**
+     * Check if every frame has been played
+     */
+    isFinished() {
+        return !this.data || this.index >= this.data.frames.length;
+    }
+
+    /**
+     * Apply the next frame (and any settings before it), false once finished
+     */
+    step(controller) {
+        while (!this.isFinished()) {
+            const frame = this.data.frames[this.index++];
+
+            if (!Array.isArray(frame)) {
+                if (frame.depthMode !== undefined) {
+                    controller.setDepthMode(frame.depthMode);
+                }
+                continue;
+            }
+
+            const { deltaTime, input } = decodeFrame(frame, this.data.playerCount);
+            controller.update(deltaTime, input);
+            this.gameTime += deltaTime;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Play the frames that fit into `deltaTime` seconds of real time
+     */
+    advance(controller, deltaTime, speed = 1) {
+        this.clock += deltaTime * speed;
+
+        while (!this.isFinished() && this.gameTime < this.clock) {
+            this.step(controller);
+        }
+    }
+
+    /**
+     * Play the whole recording at once (tests, checking a bug report)
+     * Returns the controller's final stats
+     */
+    run(controller) {
+        this.begin(controller);
+
+        while (this.step(controller)) {
+            // Keep stepping
+        }
+
+        return controller.getStats();
+    }
+
+    /**
+     * Play the whole recording and compare the outcome with the recorded one
+     * `frames` counts the frames played before the game ended, so a replay
+     * that dies early with the same score still fails
+     * Returns { success, reason, stats }; older recordings only check the score
+     */
+    verify(controller) {
+        const expected = this.data.result || (this.data.score !== undefined ? { score: this.data.score } : null);
+        if (!expected) {
+            return { success: false, reason: 'Replay has no recorded result' };
+        }
+
+        this.begin(controller);
+
+        let frames = 0;
+        while (!this.isFinished()) {
+            const playing = controller.getState() === GameState.PLAYING;
+            if (this.step(controller) && playing) {
+                frames++;
+            }
+        }
+
+        const stats = controller.getStats();
+        const actual = { ...getResult(stats), frames: frames };
+
+        for (const key of Object.keys(expected)) {
+            const got = JSON.stringify(actual[key]);
+            const want = JSON.stringify(expected[key]);
+
+            if (got !== want) {
+                return { success: false, reason: `${key} is ${got}, recorded ${want}`, stats: stats };
+            }
+        }
+
+        return { success: true, stats: stats };
+    }
+}
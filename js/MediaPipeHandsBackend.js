@@ -0,0 +1,65 @@
+/**
+ * MediaPipeHandsBackend - Legacy MediaPipe Hands Solution
+ *
+ * Responsible for:
+ * - Wrapping the global `Hands` object loaded by index.html
+ * - Locating its WASM and model files (vendor/ or CDN)
+ */
+
+import { DetectorBackend } from './DetectorBackend.js';
+
+// MediaPipe Hands assets when index.html didn't set a base
+const HANDS_CDN_URL = 'https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1675469240/';
+
+export class MediaPipeHandsBackend extends DetectorBackend {
+    constructor() {
+        super();
+        this.hands = null;
+    }
+
+    /**
+     * Create and warm up MediaPipe Hands
+     */
+    async init(options) {
+        // Check if MediaPipe Hands is available
+        if (typeof Hands === 'undefined') {
+            throw new Error('MediaPipe Hands not loaded');
+        }
+
+        // WASM and model files live next to hands.js (vendor/ or CDN)
+        const assetBase = window.MEDIAPIPE_HANDS_BASE || HANDS_CDN_URL;
+
+        this.hands = new Hands({
+            locateFile: (file) => {
+                return `${assetBase}${file}`;
+            }
+        });
+
+        this.hands.setOptions(options);
+        this.hands.onResults((results) => this.emit(results));
+
+        // Warm up the model
+        await this.hands.initialize();
+    }
+
+    /**
+     * Results are emitted before send() resolves
+     */
+    async send(image) {
+        await this.hands.send({ image: image });
+    }
+
+    setOptions(options) {
+        if (this.hands) {
+            this.hands.setOptions(options);
+        }
+    }
+
+    close() {
+        super.close();
+        if (this.hands) {
+            this.hands.close();
+            this.hands = null;
+        }
+    }
+}
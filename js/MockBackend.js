@@ -0,0 +1,85 @@
+/**
+ * MockBackend - Deterministic Landmark Replay
+ *
+ * Responsible for:
+ * - Loading recorded landmark frames (JSON) instead of running a model
+ * - Emitting one frame per send(), in order, optionally looping
+ *
+ * Accepts either an array of frames or { frames: [...] }, where each frame
+ * is { multiHandLandmarks, multiHandedness } as produced by any backend.
+ * Empty frames ({}) stand for "no hand visible".
+ */
+
+import { DetectorBackend } from './DetectorBackend.js';
+
+export class MockBackend extends DetectorBackend {
+    constructor(source = null) {
+        super();
+        this.needsImage = false;
+
+        // URL string or already-parsed frames
+        this.source = source;
+        this.frames = [];
+        this.index = 0;
+        this.loop = true;
+        this.maxNumHands = 2;
+    }
+
+    /**
+     * Load the recording
+     */
+    async init(options = {}) {
+        this.setOptions(options);
+
+        let data = this.source;
+
+        if (typeof data === 'string') {
+            const response = await fetch(data);
+            if (!response.ok) {
+                throw new Error(`Could not load landmarks from ${data} (${response.status})`);
+            }
+            data = await response.json();
+        }
+
+        const frames = Array.isArray(data) ? data : data?.frames;
+        if (!Array.isArray(frames) || frames.length === 0) {
+            throw new Error('Mock backend needs at least one landmark frame');
+        }
+
+        this.frames = frames;
+        this.index = 0;
+    }
+
+    /**
+     * Emit the next recorded frame (the image is ignored)
+     */
+    async send() {
+        if (this.index >= this.frames.length) {
+            if (!this.loop) {
+                this.emit({ multiHandLandmarks: [], multiHandedness: [] });
+                return;
+            }
+            this.index = 0;
+        }
+
+        const frame = this.frames[this.index++];
+
+        this.emit({
+            multiHandLandmarks: (frame.multiHandLandmarks || []).slice(0, this.maxNumHands),
+            multiHandedness: (frame.multiHandedness || []).slice(0, this.maxNumHands)
+        });
+    }
+
+    setOptions(options) {
+        if (options.maxNumHands !== undefined) {
+            this.maxNumHands = options.maxNumHands;
+        }
+    }
+
+    /**
+     * Start the replay from the beginning
+     */
+    rewind() {
+        this.index = 0;
+    }
+}
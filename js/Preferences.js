@@ -0,0 +1,46 @@
+/**
+ * Preferences - Persistent user settings
+ *
+ * Responsible for:
+ * - Reading and writing JSON values in localStorage
+ * - Namespacing keys so modules don't collide
+ * - Failing quietly when storage is unavailable (private mode, quota)
+ */
+
+const KEY_PREFIX = 'cosmicOrbCatcher.';
+
+/**
+ * Load a stored value, or the fallback if missing/unreadable
+ */
+export function loadPreference(key, fallback = null) {
+    try {
+        const raw = window.localStorage.getItem(KEY_PREFIX + key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+/**
+ * Store a value (returns false if storage is unavailable)
+ */
+export function savePreference(key, value) {
+    try {
+        window.localStorage.setItem(KEY_PREFIX + key, JSON.stringify(value));
+        return true;
+    } catch (error) {
+        console.warn(`Could not save preference "${key}":`, error);
+        return false;
+    }
+}
+
+/**
+ * Remove a stored value
+ */
+export function removePreference(key) {
+    try {
+        window.localStorage.removeItem(KEY_PREFIX + key);
+    } catch (error) {
+        // Storage unavailable - nothing to remove
+    }
+}
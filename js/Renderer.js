@@ -5,14 +5,22 @@
  * - Engine and scene initialization
  * - Camera setup (Arc Rotate for spectator view)
  * - Lighting (cosmic ambiance)
- * - Player platform mesh with glow effects
+ * - Player platform meshes with glow effects (one per player)
  * - Orb and hazard meshes
  * - Particle systems
  * - Render loop
  * - UI overlay updates
  */
 
-import { GameState, EntityType } from './GameController.js';
+import { GameState, GameMode, EntityType } from './GameController.js';
+import { COMMAND_LABELS, BINDABLE_COMMANDS, describeBinding } from './InputBindings.js';
+import { CurveType } from './ResponseCurve.js';
+
+// Platform glow color per player
+const PLAYER_COLORS = [
+    { r: 0, g: 0.94, b: 1 },    // Player 1 - cyan
+    { r: 1, g: 0, b: 0.67 }     // Player 2 - pink
+];
 
 export class Renderer {
     constructor() {
@@ -21,8 +29,7 @@ export class Renderer {
         this.camera = null;
 
         // Meshes
-        this.playerPlatform = null;
-        this.playerShield = null;
+        this.players = []; // { platform, shield, light, particles, ownMaterials } per player
         this.ground = null;
         this.entityMeshes = new Map();
 
@@ -52,6 +59,10 @@ export class Renderer {
             notificationText: null
         };
 
+        // Screen currently shown and whether touch buttons are wanted
+        this.currentScreen = null;
+        this.touchControlsEnabled = false;
+
         // Animation time
         this.time = 0;
     }
@@ -139,18 +150,6 @@ export class Renderer {
         hemiLight.diffuse = new BABYLON.Color3(0.6, 0.6, 1);
         hemiLight.groundColor = new BABYLON.Color3(0.1, 0.1, 0.2);
 
-        // Point light (player glow)
-        const pointLight = new BABYLON.PointLight(
-            'playerLight',
-            new BABYLON.Vector3(0, 2, 0),
-            this.scene
-        );
-        pointLight.intensity = 1;
-        pointLight.diffuse = new BABYLON.Color3(0, 0.94, 1);
-        pointLight.range = 15;
-
-        this.playerLight = pointLight;
-
         // Spot light from above
         const spotLight = new BABYLON.SpotLight(
             'spotLight',
@@ -336,52 +335,121 @@ export class Renderer {
     /**
      * Create player platform
      */
-    createPlayer() {
+    createPlayer(index = 0) {
+        const color = PLAYER_COLORS[index % PLAYER_COLORS.length];
+        const suffix = index === 0 ? '' : `P${index + 1}`;
+
         // Main platform
-        this.playerPlatform = BABYLON.MeshBuilder.CreateCylinder('platform', {
+        const platform = BABYLON.MeshBuilder.CreateCylinder(`platform${suffix}`, {
             height: 0.3,
             diameter: 3
         }, this.scene);
-        this.playerPlatform.position.y = 0.15;
-        this.playerPlatform.material = this.materials.platform;
+        platform.position.y = 0.15;
+        platform.material = this.materials.platform;
 
         // Platform ring (glowing edge)
-        const ringMat = new BABYLON.PBRMaterial('ringMat', this.scene);
-        ringMat.emissiveColor = new BABYLON.Color3(0, 0.94, 1);
+        const ringMat = new BABYLON.PBRMaterial(`ringMat${suffix}`, this.scene);
+        ringMat.emissiveColor = new BABYLON.Color3(color.r, color.g, color.b);
         ringMat.metallic = 0;
         ringMat.roughness = 0.5;
 
-        const ring = BABYLON.MeshBuilder.CreateTorus('platformRing', {
+        const ring = BABYLON.MeshBuilder.CreateTorus(`platformRing${suffix}`, {
             diameter: 3,
             thickness: 0.15
         }, this.scene);
         ring.position.y = 0.3;
         ring.material = ringMat;
-        ring.parent = this.playerPlatform;
+        ring.parent = platform;
 
         // Shield dome (invisible until activated)
-        this.playerShield = BABYLON.MeshBuilder.CreateSphere('shield', {
+        const shield = BABYLON.MeshBuilder.CreateSphere(`shield${suffix}`, {
             diameter: 4,
             segments: 32
         }, this.scene);
-        this.playerShield.position.y = 0.5;
-        this.playerShield.material = this.materials.shield;
-        this.playerShield.visibility = 0;
-        this.playerShield.parent = this.playerPlatform;
+        shield.position.y = 0.5;
+        shield.material = index === 0 ?
+            this.materials.shield :
+            this.createShieldMaterial(color, suffix);
+        shield.visibility = 0;
+        shield.parent = platform;
 
         // Add to glow layer
         this.glowLayer.addIncludedOnlyMesh(ring);
-        this.glowLayer.addIncludedOnlyMesh(this.playerShield);
+        this.glowLayer.addIncludedOnlyMesh(shield);
+
+        // Point light (player glow)
+        const light = new BABYLON.PointLight(
+            `playerLight${suffix}`,
+            new BABYLON.Vector3(0, 2, 0),
+            this.scene
+        );
+        light.intensity = 1;
+        light.diffuse = new BABYLON.Color3(color.r, color.g, color.b);
+        light.range = 15;
 
         // Platform particles
-        this.createPlatformParticles();
+        const particles = this.createPlatformParticles(platform, color);
+
+        // Materials owned by this player (shared ones are excluded)
+        const ownMaterials = index === 0 ? [ringMat] : [ringMat, shield.material];
+
+        this.players[index] = { platform, shield, light, particles, ownMaterials };
+    }
+
+    /**
+     * Create a tinted shield material for additional players
+     */
+    createShieldMaterial(color, suffix) {
+        const mat = this.materials.shield.clone(`shieldMat${suffix}`);
+        mat.albedoColor = new BABYLON.Color3(color.r * 0.7, color.g * 0.7, color.b * 0.7);
+        mat.emissiveColor = new BABYLON.Color3(color.r * 0.5, color.g * 0.5, color.b * 0.5);
+        return mat;
+    }
+
+    /**
+     * Create or remove platforms to match the player count
+     */
+    setPlayerCount(count) {
+        while (this.players.length < count) {
+            this.createPlayer(this.players.length);
+        }
+
+        while (this.players.length > count) {
+            const player = this.players.pop();
+            player.particles.dispose();
+            this.particleSystems = this.particleSystems.filter(ps => ps !== player.particles);
+            player.light.dispose();
+            player.platform.dispose();
+            player.ownMaterials.forEach(mat => mat.dispose());
+        }
+
+        // Everyone is back in for a new round
+        for (const player of this.players) {
+            player.platform.setEnabled(true);
+            player.light.setEnabled(true);
+            player.particles.start();
+        }
+
+        this.ui.hudP2?.classList.toggle('hidden', count < 2);
+    }
+
+    /**
+     * Hide a knocked-out player's platform
+     */
+    setPlayerEliminated(playerIndex) {
+        const player = this.players[playerIndex];
+        if (player) {
+            player.platform.setEnabled(false);
+            player.light.setEnabled(false);
+            player.particles.stop();
+        }
     }
 
     /**
      * Create particles around platform
      */
-    createPlatformParticles() {
-        const particleSystem = new BABYLON.ParticleSystem('platformParticles', 100, this.scene);
+    createPlatformParticles(platform, color) {
+        const particleSystem = new BABYLON.ParticleSystem(`${platform.name}Particles`, 100, this.scene);
 
         // Use a simple texture
         particleSystem.particleTexture = new BABYLON.Texture(
@@ -389,11 +457,11 @@ export class Renderer {
             this.scene
         );
 
-        particleSystem.emitter = this.playerPlatform;
+        particleSystem.emitter = platform;
         particleSystem.minEmitBox = new BABYLON.Vector3(-1.5, 0, -1.5);
         particleSystem.maxEmitBox = new BABYLON.Vector3(1.5, 0.5, 1.5);
 
-        particleSystem.color1 = new BABYLON.Color4(0, 0.9, 1, 0.8);
+        particleSystem.color1 = new BABYLON.Color4(color.r, color.g * 0.95, color.b, 0.8);
         particleSystem.color2 = new BABYLON.Color4(0.5, 0, 1, 0.8);
         particleSystem.colorDead = new BABYLON.Color4(0, 0, 0.2, 0);
 
@@ -417,6 +485,8 @@ export class Renderer {
 
         particleSystem.start();
         this.particleSystems.push(particleSystem);
+
+        return particleSystem;
     }
 
     /**
@@ -437,6 +507,51 @@ export class Renderer {
         this.ui.notification = document.getElementById('notification');
         this.ui.notificationText = document.getElementById('notificationText');
         this.ui.permissionStatus = document.getElementById('permissionStatus');
+        this.ui.hudP2 = document.getElementById('hudP2');
+        this.ui.scoreP2 = document.getElementById('scoreP2');
+        this.ui.comboP2 = document.getElementById('comboP2');
+        this.ui.shieldFillP2 = document.getElementById('shieldFillP2');
+        this.ui.gameOverDetail = document.getElementById('gameOverDetail');
+        this.ui.modeButtons = document.querySelectorAll('#modeSelect .mode-btn');
+        this.ui.settingsPanel = document.getElementById('settingsPanel');
+        this.ui.cameraSelect = document.getElementById('cameraSelect');
+        this.ui.twoHandToggle = document.getElementById('twoHandToggle');
+        this.ui.movementHandSelect = document.getElementById('movementHandSelect');
+        this.ui.playerAssignSelect = document.getElementById('playerAssignSelect');
+        this.ui.depthModeSelect = document.getElementById('depthModeSelect');
+        this.ui.smoothingSelect = document.getElementById('smoothingSelect');
+        this.ui.predictionToggle = document.getElementById('predictionToggle');
+        this.ui.gestureRecordStatus = document.getElementById('gestureRecordStatus');
+        this.ui.customGestureList = document.getElementById('customGestureList');
+        this.ui.replaceGesturesToggle = document.getElementById('replaceGesturesToggle');
+        this.ui.adaptiveQualityToggle = document.getElementById('adaptiveQualityToggle');
+        this.ui.qualityLevelSelect = document.getElementById('qualityLevelSelect');
+        this.ui.cvMetrics = document.getElementById('cvMetrics');
+        this.ui.movementModeSelect = document.getElementById('movementModeSelect');
+        this.ui.responseCurveSelect = document.getElementById('responseCurveSelect');
+        this.ui.curvePointsInput = document.getElementById('curvePointsInput');
+        this.ui.sensitivityXInput = document.getElementById('sensitivityXInput');
+        this.ui.sensitivityYInput = document.getElementById('sensitivityYInput');
+        this.ui.invertXToggle = document.getElementById('invertXToggle');
+        this.ui.invertYToggle = document.getElementById('invertYToggle');
+        this.ui.gamepadDeadzoneInput = document.getElementById('gamepadDeadzoneInput');
+        this.ui.handLostIndicator = document.getElementById('handLostIndicator');
+        this.ui.replayIndicator = document.getElementById('replayIndicator');
+        this.ui.handLostSelect = document.getElementById('handLostSelect');
+        this.ui.calibrationStatus = document.getElementById('calibrationStatus');
+        this.ui.calibrationOverlay = document.getElementById('calibrationOverlay');
+        this.ui.calibrationTarget = document.getElementById('calibrationTarget');
+        this.ui.calibrationText = document.getElementById('calibrationText');
+        this.ui.touchControls = document.getElementById('touchControls');
+        this.ui.touchJoystick = document.getElementById('touchJoystick');
+        this.ui.touchJoystickKnob = document.getElementById('touchJoystickKnob');
+        this.ui.touchModeSelect = document.getElementById('touchModeSelect');
+        this.ui.bindingList = document.getElementById('bindingList');
+        this.ui.bindingStatus = document.getElementById('bindingStatus');
+        this.ui.watchBestReplayBtn = document.getElementById('watchBestReplayBtn');
+        this.ui.exportReplayBtn = document.getElementById('exportReplayBtn');
+        this.ui.exportBestReplayBtn = document.getElementById('exportBestReplayBtn');
+        this.ui.replayStatus = document.getElementById('replayStatus');
     }
 
     /**
@@ -467,10 +582,11 @@ export class Renderer {
         // Gentle camera movement
         this.camera.alpha = Math.PI / 2 + Math.sin(this.time * 0.1) * 0.05;
 
-        // Player light follows platform
-        if (this.playerLight && this.playerPlatform) {
-            this.playerLight.position.x = this.playerPlatform.position.x;
-            this.playerLight.position.z = this.playerPlatform.position.z;
+        // Player lights follow platforms
+        for (const player of this.players) {
+            player.light.position.x = player.platform.position.x;
+            player.light.position.y = player.platform.position.y + 1.85;
+            player.light.position.z = player.platform.position.z;
         }
 
         // Animate entity meshes
@@ -487,34 +603,40 @@ export class Renderer {
         }
 
         // Shield pulse animation
-        if (this.playerShield && this.playerShield.visibility > 0) {
-            const pulse = 0.9 + Math.sin(this.time * 10) * 0.1;
-            this.playerShield.scaling.setAll(pulse);
+        for (const player of this.players) {
+            if (player.shield.visibility > 0) {
+                const pulse = 0.9 + Math.sin(this.time * 10) * 0.1;
+                player.shield.scaling.setAll(pulse);
+            }
         }
     }
 
     /**
      * Update player position
      */
-    updatePlayerPosition(x, z) {
-        if (this.playerPlatform) {
-            this.playerPlatform.position.x = x;
-            this.playerPlatform.position.z = z;
+    updatePlayerPosition(x, z, playerIndex = 0, y = 0) {
+        const player = this.players[playerIndex];
+        if (player) {
+            player.platform.position.x = x;
+            player.platform.position.y = 0.15 + y;
+            player.platform.position.z = z;
         }
     }
 
     /**
      * Update shield state
      */
-    updateShield(energy, active) {
-        if (this.ui.shieldFill) {
-            this.ui.shieldFill.style.width = `${energy * 100}%`;
+    updateShield(energy, active, playerIndex = 0) {
+        const shieldFill = playerIndex === 0 ? this.ui.shieldFill : this.ui.shieldFillP2;
+        if (shieldFill) {
+            shieldFill.style.width = `${energy * 100}%`;
         }
 
-        if (this.playerShield) {
+        const player = this.players[playerIndex];
+        if (player) {
             // Smooth visibility transition
             const targetVisibility = active ? 0.4 : 0;
-            this.playerShield.visibility += (targetVisibility - this.playerShield.visibility) * 0.2;
+            player.shield.visibility += (targetVisibility - player.shield.visibility) * 0.2;
         }
     }
 
@@ -672,23 +794,25 @@ export class Renderer {
     /**
      * Update score display
      */
-    updateScore(score) {
-        if (this.ui.score) {
-            this.ui.score.textContent = score.toString();
+    updateScore(score, playerIndex = 0) {
+        const element = playerIndex === 0 ? this.ui.score : this.ui.scoreP2;
+        if (element) {
+            element.textContent = score.toString();
         }
     }
 
     /**
      * Update combo display
      */
-    updateCombo(combo) {
-        if (this.ui.combo) {
-            this.ui.combo.textContent = `x${combo}`;
+    updateCombo(combo, playerIndex = 0) {
+        const element = playerIndex === 0 ? this.ui.combo : this.ui.comboP2;
+        if (element) {
+            element.textContent = `x${combo}`;
 
             // Pulse animation
-            this.ui.combo.style.transform = 'scale(1.3)';
+            element.style.transform = 'scale(1.3)';
             setTimeout(() => {
-                this.ui.combo.style.transform = 'scale(1)';
+                element.style.transform = 'scale(1)';
             }, 100);
         }
     }
@@ -702,6 +826,77 @@ export class Renderer {
         }
     }
 
+    /**
+     * Reflect the gamepad stick deadzone
+     */
+    updateGamepadDeadzone(deadzone) {
+        if (this.ui.gamepadDeadzoneInput) {
+            this.ui.gamepadDeadzoneInput.value = deadzone;
+        }
+    }
+
+    /**
+     * Enable the on-screen touch buttons (shown during play only)
+     */
+    setTouchControls(enabled) {
+        this.touchControlsEnabled = enabled;
+        this.updateTouchControlsVisibility();
+    }
+
+    updateTouchControlsVisibility() {
+        const inPlay = this.currentScreen === 'game' || this.currentScreen === 'pause';
+        this.ui.touchControls?.classList.toggle('hidden', !(this.touchControlsEnabled && inPlay));
+    }
+
+    /**
+     * Draw the virtual joystick (null hides it)
+     */
+    updateTouchJoystick(joystick) {
+        const ring = this.ui.touchJoystick;
+        if (!ring) {
+            return;
+        }
+
+        ring.classList.toggle('hidden', !joystick);
+        if (!joystick) {
+            return;
+        }
+
+        ring.style.left = `${joystick.originX}px`;
+        ring.style.top = `${joystick.originY}px`;
+
+        if (this.ui.touchJoystickKnob) {
+            const center = ring.offsetWidth / 2;
+            this.ui.touchJoystickKnob.style.left = `${center + joystick.knobX - joystick.originX}px`;
+            this.ui.touchJoystickKnob.style.top = `${center + joystick.knobY - joystick.originY}px`;
+        }
+    }
+
+    /**
+     * Reflect the touch steering mode
+     */
+    updateTouchMode(mode) {
+        if (this.ui.touchModeSelect) {
+            this.ui.touchModeSelect.value = mode;
+        }
+    }
+
+    /**
+     * Show/hide the "hand lost" indicator
+     */
+    updateHandLost(lost) {
+        this.ui.handLostIndicator?.classList.toggle('hidden', !lost);
+    }
+
+    /**
+     * Reflect the hand lost policy
+     */
+    updateHandLostPolicy(policy) {
+        if (this.ui.handLostSelect) {
+            this.ui.handLostSelect.value = policy;
+        }
+    }
+
     /**
      * Update permission status
      */
@@ -712,6 +907,340 @@ export class Renderer {
         }
     }
 
+    /**
+     * Populate the camera picker
+     */
+    updateCameraDevices(devices, activeDeviceId = null, fileName = null) {
+        const select = this.ui.cameraSelect;
+        if (!select) {
+            return;
+        }
+
+        select.innerHTML = '';
+
+        // A playing video file shows as the selected source
+        if (fileName) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = `🎞️ ${fileName}`;
+            option.selected = true;
+            option.disabled = true;
+            select.appendChild(option);
+        }
+
+        for (const device of devices) {
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label;
+            option.selected = device.deviceId === activeDeviceId;
+            select.appendChild(option);
+        }
+
+        if (devices.length === 0) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = 'No camera found';
+            select.appendChild(option);
+        }
+
+        select.disabled = devices.length < (fileName ? 1 : 2);
+    }
+
+    /**
+     * Reflect hand mode and roles in the settings panel
+     */
+    updateHandControls(twoHanded, movementHand) {
+        if (this.ui.twoHandToggle) {
+            this.ui.twoHandToggle.checked = twoHanded;
+        }
+        if (this.ui.movementHandSelect) {
+            this.ui.movementHandSelect.value = movementHand;
+            this.ui.movementHandSelect.disabled = !twoHanded;
+        }
+    }
+
+    /**
+     * Reflect how hands are assigned to players
+     */
+    updatePlayerAssignment(assignment) {
+        if (this.ui.playerAssignSelect) {
+            this.ui.playerAssignSelect.value = assignment;
+        }
+    }
+
+    /**
+     * Reflect the movement response settings (curve, sensitivity, mode)
+     */
+    updateMovementResponse(response) {
+        const ui = this.ui;
+
+        if (ui.movementModeSelect) ui.movementModeSelect.value = response.mode;
+        if (ui.responseCurveSelect) ui.responseCurveSelect.value = response.curve;
+        if (ui.curvePointsInput) {
+            ui.curvePointsInput.value = response.points.join(', ');
+            ui.curvePointsInput.classList.toggle('hidden', response.curve !== CurveType.SPLINE);
+        }
+        if (ui.sensitivityXInput) ui.sensitivityXInput.value = response.sensitivity.x;
+        if (ui.sensitivityYInput) ui.sensitivityYInput.value = response.sensitivity.y;
+        if (ui.invertXToggle) ui.invertXToggle.checked = response.invert.x;
+        if (ui.invertYToggle) ui.invertYToggle.checked = response.invert.y;
+    }
+
+    /**
+     * Reflect the selected smoothing filter and prediction toggle
+     */
+    updateSmoothing(filterType, predict) {
+        if (this.ui.smoothingSelect) {
+            this.ui.smoothingSelect.value = filterType;
+        }
+        if (this.ui.predictionToggle) {
+            this.ui.predictionToggle.checked = predict;
+        }
+    }
+
+    /**
+     * Reflect what the depth axis does
+     */
+    updateDepthMode(mode) {
+        if (this.ui.depthModeSelect) {
+            this.ui.depthModeSelect.value = mode;
+        }
+    }
+
+    /**
+     * List recorded custom gestures with a delete button each
+     */
+    updateCustomGestures(gestures) {
+        const list = this.ui.customGestureList;
+        if (!list) {
+            return;
+        }
+
+        list.innerHTML = '';
+
+        for (const gesture of gestures) {
+            const item = document.createElement('li');
+
+            const label = document.createElement('span');
+            label.textContent = gesture.name;
+
+            const command = document.createElement('span');
+            command.className = 'gesture-command';
+            command.textContent = COMMAND_LABELS[gesture.command] || '—';
+
+            const remove = document.createElement('button');
+            remove.className = 'close-btn';
+            remove.title = `Delete "${gesture.name}"`;
+            remove.textContent = '✕';
+            remove.dataset.gestureId = gesture.id;
+
+            item.append(label, command, remove);
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * List each command's bindings; clicking a binding removes it, "+" adds one
+     * capturing: command waiting for an input (its "+" shows a prompt)
+     */
+    updateBindings(bindings, capturing = null) {
+        const list = this.ui.bindingList;
+        if (!list) {
+            return;
+        }
+
+        list.innerHTML = '';
+
+        for (const command of BINDABLE_COMMANDS) {
+            const item = document.createElement('li');
+
+            const label = document.createElement('span');
+            label.className = 'binding-command';
+            label.textContent = COMMAND_LABELS[command];
+
+            const inputs = document.createElement('span');
+            inputs.className = 'binding-inputs';
+
+            for (const binding of bindings.getBindings(command)) {
+                const chip = document.createElement('button');
+                chip.className = 'binding-chip';
+                chip.title = 'Remove';
+                chip.textContent = describeBinding(binding);
+                chip.dataset.command = command;
+                chip.dataset.binding = binding;
+                inputs.appendChild(chip);
+            }
+
+            const add = document.createElement('button');
+            add.className = 'binding-chip binding-add' + (capturing === command ? ' capturing' : '');
+            add.title = `Add an input for ${COMMAND_LABELS[command]}`;
+            add.textContent = capturing === command ? 'Press…' : '+';
+            add.dataset.command = command;
+            inputs.appendChild(add);
+
+            item.append(label, inputs);
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Show rebinding prompts, conflicts and import errors
+     */
+    updateBindingStatus(message, isError = false) {
+        if (this.ui.bindingStatus) {
+            this.ui.bindingStatus.textContent = message;
+            this.ui.bindingStatus.className = 'settings-status' + (isError ? ' error' : '');
+        }
+    }
+
+    /**
+     * Enable the replay buttons that have a recording to act on
+     */
+    updateReplays(hasLast, bestScore) {
+        const hasBest = bestScore !== null;
+
+        if (this.ui.exportReplayBtn) {
+            this.ui.exportReplayBtn.disabled = !hasLast;
+        }
+        if (this.ui.watchBestReplayBtn) {
+            this.ui.watchBestReplayBtn.disabled = !hasBest;
+            this.ui.watchBestReplayBtn.textContent = hasBest ? `▶ Watch best run (${bestScore})` : '▶ Watch best run';
+        }
+        if (this.ui.exportBestReplayBtn) {
+            this.ui.exportBestReplayBtn.disabled = !hasBest;
+        }
+    }
+
+    /**
+     * Show replay messages or errors
+     */
+    updateReplayStatus(message, isError = false) {
+        if (this.ui.replayStatus) {
+            this.ui.replayStatus.textContent = message;
+            this.ui.replayStatus.className = 'settings-status' + (isError ? ' error' : '');
+        }
+    }
+
+    /**
+     * Show/hide the replay badge
+     */
+    setReplayIndicator(show) {
+        this.ui.replayIndicator?.classList.toggle('hidden', !show);
+    }
+
+    /**
+     * Show custom gesture recording progress or errors
+     */
+    updateGestureRecording(message, isError = false) {
+        if (this.ui.gestureRecordStatus) {
+            this.ui.gestureRecordStatus.textContent = message;
+            this.ui.gestureRecordStatus.className = 'settings-status' + (isError ? ' error' : '');
+        }
+    }
+
+    /**
+     * Reflect whether only custom gestures are recognized
+     */
+    updateCustomGestureMode(replace) {
+        if (this.ui.replaceGesturesToggle) {
+            this.ui.replaceGesturesToggle.checked = replace;
+        }
+    }
+
+    /**
+     * Reflect adaptive quality and the current level
+     */
+    updateQualityControls(adaptive, levelIndex) {
+        if (this.ui.adaptiveQualityToggle) {
+            this.ui.adaptiveQualityToggle.checked = adaptive;
+        }
+        if (this.ui.qualityLevelSelect) {
+            this.ui.qualityLevelSelect.value = String(levelIndex);
+            this.ui.qualityLevelSelect.disabled = adaptive;
+        }
+    }
+
+    /**
+     * Show tracking latency and frame rate
+     */
+    updateCVMetrics(metrics) {
+        if (this.ui.cvMetrics) {
+            this.ui.cvMetrics.textContent = metrics ?
+                `${metrics.processedFps} fps · ${Math.round(metrics.averageLatency)} ms · ${metrics.level}` +
+                (metrics.pipelineLatency ? ` · ~${Math.round(metrics.pipelineLatency)} ms total` : '') :
+                '';
+        }
+    }
+
+    /**
+     * Show a calibration status line in settings
+     */
+    updateCalibrationStatus(message, isError = false) {
+        if (this.ui.calibrationStatus) {
+            this.ui.calibrationStatus.textContent = message;
+            this.ui.calibrationStatus.classList.toggle('error', isError);
+        }
+    }
+
+    /**
+     * Show/hide the calibration overlay
+     */
+    showCalibration(show) {
+        this.ui.calibrationOverlay?.classList.toggle('hidden', !show);
+    }
+
+    /**
+     * Move the calibration target (game-space x > 0 is the player's left)
+     */
+    updateCalibrationTarget(target, message, progress) {
+        if (this.ui.calibrationTarget) {
+            this.ui.calibrationTarget.style.left = `${50 - target.x * 42}%`;
+            this.ui.calibrationTarget.style.top = `${50 + target.y * 38}%`;
+            this.ui.calibrationTarget.style.setProperty('--progress', progress);
+        }
+        if (this.ui.calibrationText) {
+            this.ui.calibrationText.textContent = message;
+        }
+    }
+
+    /**
+     * Show/hide the settings panel
+     */
+    toggleSettings(show = null) {
+        if (this.ui.settingsPanel) {
+            const visible = show ?? this.ui.settingsPanel.classList.contains('hidden');
+            this.ui.settingsPanel.classList.toggle('hidden', !visible);
+        }
+    }
+
+    /**
+     * Check if the settings panel is showing
+     */
+    isSettingsOpen() {
+        return !!this.ui.settingsPanel && !this.ui.settingsPanel.classList.contains('hidden');
+    }
+
+    /**
+     * Screen whose buttons the hand cursor can click (null during play or over settings)
+     */
+    getInteractiveScreen() {
+        const calibrating = this.ui.calibrationOverlay && !this.ui.calibrationOverlay.classList.contains('hidden');
+        if (this.isSettingsOpen() || calibrating) {
+            return null;
+        }
+
+        switch (this.currentScreen) {
+            case 'menu':
+                return this.ui.menuScreen || null;
+            case 'pause':
+                return this.ui.pauseOverlay || null;
+            case 'gameOver':
+                return this.ui.gameOverScreen || null;
+            default:
+                return null;
+        }
+    }
+
     /**
      * Show notification toast
      */
@@ -736,6 +1265,10 @@ export class Renderer {
                 break;
 
             case GameState.PLAYING:
+                // New round - bring knocked-out platforms back
+                if (oldState !== GameState.PAUSED && stats) {
+                    this.setPlayerCount(stats.players.length);
+                }
                 this.showScreen('game');
                 break;
 
@@ -759,6 +1292,9 @@ export class Renderer {
         this.ui.pauseOverlay?.classList.add('hidden');
         this.ui.hud?.classList.add('hidden');
 
+        this.currentScreen = screen;
+        this.updateTouchControlsVisibility();
+
         switch (screen) {
             case 'menu':
                 this.ui.menuScreen?.classList.remove('hidden');
@@ -780,10 +1316,49 @@ export class Renderer {
                     this.ui.maxCombo.textContent = `x${stats.maxCombo}`;
                     this.ui.orbsCaught.textContent = stats.orbsCaught.toString();
                 }
+                this.updateGameOverDetail(stats);
                 break;
         }
     }
 
+    /**
+     * Show per-player results after a two-player game
+     */
+    updateGameOverDetail(stats) {
+        const detail = this.ui.gameOverDetail;
+        if (!detail) {
+            return;
+        }
+
+        if (!stats || !stats.players || stats.players.length < 2) {
+            detail.classList.add('hidden');
+            return;
+        }
+
+        const scores = stats.players
+            .map((player, index) => `P${index + 1}: ${player.score}`)
+            .join('  ·  ');
+
+        if (stats.mode === GameMode.VERSUS) {
+            detail.textContent = stats.winner !== null ?
+                `🏆 PLAYER ${stats.winner + 1} WINS  ·  ${scores}` :
+                scores;
+        } else {
+            detail.textContent = `TEAM SCORE  ·  ${scores}`;
+        }
+
+        detail.classList.remove('hidden');
+    }
+
+    /**
+     * Highlight the selected game mode in the menu
+     */
+    updateGameMode(mode) {
+        for (const button of this.ui.modeButtons || []) {
+            button.classList.toggle('active', button.dataset.mode === mode);
+        }
+    }
+
     /**
      * Get delta time helper
      */
@@ -0,0 +1,227 @@
+/**
+ * ResponseCurve - Movement Response Shaping
+ *
+ * Responsible for:
+ * - Mapping hand movement through linear, exponential, S-curve or spline curves
+ * - Per-axis sensitivity and inversion
+ * - Absolute (hand = platform position) and trackpad (hand moves the platform) modes
+ *
+ * Curves work on magnitudes in 0-1 and keep the sign, so they are
+ * symmetric around the center of the play area.
+ */
+
+// Curve shapes
+export const CurveType = {
+    LINEAR: 'linear',
+    EXPONENTIAL: 'exponential',
+    S_CURVE: 'sCurve',
+    SPLINE: 'spline'
+};
+
+// How hand position drives the platform
+export const MovementMode = {
+    ABSOLUTE: 'absolute',   // Hand position is the platform position
+    TRACKPAD: 'trackpad'    // Hand displacement moves the platform
+};
+
+// Default response settings (same shape FeatureProcessor.configure({ response }) takes)
+export const RESPONSE_DEFAULTS = {
+    curve: CurveType.LINEAR,
+    exponent: 2,                    // Exponential curve power
+    points: [0, 0.2, 0.5, 1],       // Spline outputs at evenly spaced inputs
+    sensitivity: { x: 1, y: 1 },
+    invert: { x: false, y: false },
+    mode: MovementMode.ABSOLUTE,
+    trackpadGain: 2.5,              // Platform travel per unit of hand travel
+    trackpadMaxSpeed: 3             // Hand speed (units/s) where the curve reaches 1
+};
+
+/**
+ * Shape a 0-1 magnitude with the given curve
+ */
+export function shapeMagnitude(t, response) {
+    const clamped = Math.max(0, Math.min(1, t));
+
+    switch (response.curve) {
+        case CurveType.EXPONENTIAL:
+            return Math.pow(clamped, response.exponent);
+        case CurveType.S_CURVE:
+            // Smoothstep: gentle near the center and the edges
+            return clamped * clamped * (3 - 2 * clamped);
+        case CurveType.SPLINE:
+            return evaluateSpline(response.points, clamped);
+        default:
+            return clamped;
+    }
+}
+
+/**
+ * Monotone cubic (Fritsch-Carlson) through evenly spaced points, so it never overshoots
+ */
+export function evaluateSpline(points, t) {
+    const n = points.length;
+    if (n < 2) {
+        return t;
+    }
+
+    const h = 1 / (n - 1);
+    const segment = Math.min(n - 2, Math.floor(t / h));
+    const u = (t - segment * h) / h;
+
+    // Secant slopes and tangents
+    const secant = (i) => (points[i + 1] - points[i]) / h;
+    const tangent = (i) => {
+        if (i === 0) return secant(0);
+        if (i === n - 1) return secant(n - 2);
+        const a = secant(i - 1);
+        const b = secant(i);
+        return a * b <= 0 ? 0 : (2 * a * b) / (a + b);
+    };
+
+    const y0 = points[segment];
+    const y1 = points[segment + 1];
+    const m0 = tangent(segment) * h;
+    const m1 = tangent(segment + 1) * h;
+
+    const u2 = u * u;
+    const u3 = u2 * u;
+
+    return (2 * u3 - 3 * u2 + 1) * y0 +
+        (u3 - 2 * u2 + u) * m0 +
+        (-2 * u3 + 3 * u2) * y1 +
+        (u3 - u2) * m1;
+}
+
+/**
+ * Turn linear hand positions into platform positions
+ */
+export class ResponseCurve {
+    constructor(options = {}) {
+        // Trackpad state
+        this.output = { x: 0, y: 0 };
+        this.lastInput = null;
+        this.lastTimestamp = 0;
+
+        this.settings = RESPONSE_DEFAULTS;
+        this.configure(options);
+    }
+
+    /**
+     * Map a linear -1..1 position to the shaped -1..1 output
+     */
+    apply(position, timestamp) {
+        return this.settings.mode === MovementMode.TRACKPAD ?
+            this.applyRelative(position, timestamp) :
+            this.applyAbsolute(position);
+    }
+
+    /**
+     * Absolute mode: curve, sensitivity and inversion on the position itself
+     */
+    applyAbsolute(position) {
+        return {
+            x: this.shapeAxis(position.x, 'x'),
+            y: this.shapeAxis(position.y, 'y')
+        };
+    }
+
+    /**
+     * Shape one axis, keeping its sign
+     */
+    shapeAxis(value, axis) {
+        const { sensitivity, invert } = this.settings;
+        const shaped = Math.sign(value) * shapeMagnitude(Math.abs(value), this.settings);
+        const scaled = Math.max(-1, Math.min(1, shaped * sensitivity[axis]));
+
+        return invert[axis] ? -scaled : scaled;
+    }
+
+    /**
+     * Trackpad mode: move the output by the hand's displacement
+     * The curve acts on hand speed, so slow moves are fine and fast ones travel far
+     */
+    applyRelative(position, timestamp) {
+        if (this.lastInput) {
+            const dt = Math.max(1, timestamp - this.lastTimestamp) / 1000;
+
+            for (const axis of ['x', 'y']) {
+                const delta = position[axis] - this.lastInput[axis];
+                const speed = Math.abs(delta) / dt / this.settings.trackpadMaxSpeed;
+                const factor = speed > 0 ? shapeMagnitude(speed, this.settings) / Math.min(1, speed) : 1;
+                const step = delta * factor * this.settings.trackpadGain * this.settings.sensitivity[axis];
+
+                this.output[axis] = Math.max(-1, Math.min(1,
+                    this.output[axis] + (this.settings.invert[axis] ? -step : step)
+                ));
+            }
+        }
+
+        this.lastInput = { x: position.x, y: position.y };
+        this.lastTimestamp = timestamp;
+
+        return { ...this.output };
+    }
+
+    /**
+     * Forget the last hand position (hand lost) - trackpad output stays put
+     */
+    release() {
+        this.lastInput = null;
+    }
+
+    /**
+     * Place the trackpad output (e.g. while gliding back to center)
+     */
+    moveTo(position) {
+        this.output = { x: position.x, y: position.y };
+    }
+
+    /**
+     * Recenter the trackpad output
+     */
+    reset() {
+        this.lastInput = null;
+        this.output = { x: 0, y: 0 };
+    }
+
+    /**
+     * Update configuration
+     */
+    configure(options) {
+        const settings = { ...this.settings };
+
+        for (const key of ['curve', 'exponent', 'mode', 'trackpadGain', 'trackpadMaxSpeed']) {
+            if (options[key] !== undefined) {
+                settings[key] = options[key];
+            }
+        }
+        if (Array.isArray(options.points) && options.points.length >= 2) {
+            settings.points = options.points.map(p => Math.max(0, Math.min(1, Number(p) || 0)));
+        }
+        if (options.sensitivity !== undefined) {
+            settings.sensitivity = { ...settings.sensitivity, ...options.sensitivity };
+        }
+        if (options.invert !== undefined) {
+            settings.invert = { ...settings.invert, ...options.invert };
+        }
+
+        // Switching modes starts the trackpad from the center
+        if (settings.mode !== this.settings.mode) {
+            this.reset();
+        }
+
+        this.settings = settings;
+    }
+
+    /**
+     * Current settings (same shape configure() accepts)
+     */
+    getSettings() {
+        return {
+            ...this.settings,
+            points: [...this.settings.points],
+            sensitivity: { ...this.settings.sensitivity },
+            invert: { ...this.settings.invert }
+        };
+    }
+}
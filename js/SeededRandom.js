@@ -0,0 +1,46 @@
+/**
+ * SeededRandom - Reproducible Random Numbers
+ *
+ * Responsible for:
+ * - Drop-in replacement for Math.random() driven by a 32-bit seed
+ * - Creating fresh seeds for new games
+ *
+ * Uses mulberry32: tiny, fast and the same sequence in every browser,
+ * which is all replays need.
+ */
+
+export class SeededRandom {
+    constructor(seed = SeededRandom.createSeed()) {
+        this.seed = 0;
+        this.state = 0;
+        this.reseed(seed);
+    }
+
+    /**
+     * New random 32-bit seed
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Restart the sequence from a seed
+     */
+    reseed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next number in [0, 1), like Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+}
@@ -0,0 +1,323 @@
+/**
+ * TemporalGestureDetector - Dynamic Gesture Recognition
+ *
+ * Responsible for:
+ * - Keeping a sliding window of palm positions and poses
+ * - Detecting swipes, circles and held poses over time
+ * - Emitting timestamped gesture events with a confidence score
+ *
+ * Works on CVEngine results, so it needs no keyboard or mouse.
+ * Directions are from the player's point of view.
+ */
+
+// Dynamic gesture types
+export const TemporalGesture = {
+    SWIPE_LEFT: 'swipe-left',
+    SWIPE_RIGHT: 'swipe-right',
+    SWIPE_UP: 'swipe-up',
+    SWIPE_DOWN: 'swipe-down',
+    CIRCLE: 'circle',
+    HOLD: 'hold'
+};
+
+export class TemporalGestureDetector {
+    constructor() {
+        // Sliding window of { x, y, pose, timestamp }
+        this.history = [];
+        this.windowMs = 1200;
+
+        // Swipe detection
+        this.swipeWindowMs = 300;
+        this.swipeMinDistance = 0.2;      // Camera space (0-1)
+        this.swipeDirectionRatio = 2;     // Dominant axis vs the other one
+        this.swipeMinStraightness = 0.8;  // Displacement / path length
+
+        // Circle detection
+        this.circleMinSamples = 10;
+        this.circleMinRadius = 0.04;
+        this.circleMinAngle = Math.PI * 1.75;
+        this.circleMaxRadiusDeviation = 0.35; // Relative to mean radius
+
+        // Hold detection
+        this.holdDuration = 1000;         // ms (default for every pose)
+        this.holdDurations = {};          // Per-pose overrides, e.g. { open: 1500 }
+        this.holdTolerance = 0.03;        // Max drift while holding
+        this.hold = null;                 // { pose, start, anchor, fired }
+
+        // Quiet period after a swipe or circle
+        this.cooldownMs = 400;
+        this.cooldownUntil = 0;
+
+        // true if frames are already flipped like a selfie
+        this.mirroredInput = false;
+
+        // Callbacks
+        this.onGesture = null;
+    }
+
+    /**
+     * Feed one hand's CV results, returns the events detected this frame
+     */
+    process(cvResults, timestamp = performance.now()) {
+        if (!cvResults || !cvResults.detected) {
+            this.reset();
+            return [];
+        }
+
+        const sample = {
+            x: cvResults.position.x,
+            y: cvResults.position.y,
+            pose: cvResults.gesture,
+            timestamp: timestamp
+        };
+
+        this.history.push(sample);
+
+        // Drop samples that fell out of the window
+        while (this.history.length > 0 &&
+               timestamp - this.history[0].timestamp > this.windowMs) {
+            this.history.shift();
+        }
+
+        const events = [];
+
+        const hold = this.detectHold(sample);
+        if (hold) {
+            events.push(hold);
+        }
+
+        if (timestamp >= this.cooldownUntil) {
+            // Circles first - part of a fast circle can look like a swipe
+            const motion = this.detectCircle(timestamp) || this.detectSwipe(timestamp);
+            if (motion) {
+                events.push(motion);
+                this.history = [];
+                this.cooldownUntil = timestamp + this.cooldownMs;
+            }
+        }
+
+        for (const event of events) {
+            if (this.onGesture) {
+                this.onGesture(event);
+            }
+        }
+
+        return events;
+    }
+
+    /**
+     * Detect a fast, straight movement along one axis
+     */
+    detectSwipe(timestamp) {
+        const samples = this.history.filter(s => timestamp - s.timestamp <= this.swipeWindowMs);
+        if (samples.length < 3) {
+            return null;
+        }
+
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const dx = last.x - first.x;
+        const dy = last.y - first.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        if (distance < this.swipeMinDistance) {
+            return null;
+        }
+
+        const straightness = distance / this.getPathLength(samples);
+        if (straightness < this.swipeMinStraightness) {
+            return null;
+        }
+
+        let type = null;
+
+        if (Math.abs(dx) >= Math.abs(dy) * this.swipeDirectionRatio) {
+            // Un-mirrored frames: moving right decreases x
+            const playerDx = this.mirroredInput ? dx : -dx;
+            type = playerDx > 0 ? TemporalGesture.SWIPE_RIGHT : TemporalGesture.SWIPE_LEFT;
+        } else if (Math.abs(dy) >= Math.abs(dx) * this.swipeDirectionRatio) {
+            type = dy > 0 ? TemporalGesture.SWIPE_DOWN : TemporalGesture.SWIPE_UP;
+        }
+
+        if (!type) {
+            return null;
+        }
+
+        return {
+            type: type,
+            timestamp: timestamp,
+            duration: last.timestamp - first.timestamp,
+            confidence: Math.min(1, distance / (this.swipeMinDistance * 2)) * straightness,
+            dx: dx,     // Camera-space displacement
+            dy: dy
+        };
+    }
+
+    /**
+     * Detect a roughly round loop around a center point
+     */
+    detectCircle(timestamp) {
+        const samples = this.history;
+        if (samples.length < this.circleMinSamples) {
+            return null;
+        }
+
+        // Center and radius
+        let cx = 0, cy = 0;
+        for (const s of samples) {
+            cx += s.x;
+            cy += s.y;
+        }
+        cx /= samples.length;
+        cy /= samples.length;
+
+        const radii = samples.map(s => Math.sqrt((s.x - cx) ** 2 + (s.y - cy) ** 2));
+        const meanRadius = radii.reduce((sum, r) => sum + r, 0) / radii.length;
+
+        if (meanRadius < this.circleMinRadius) {
+            return null;
+        }
+
+        const variance = radii.reduce((sum, r) => sum + (r - meanRadius) ** 2, 0) / radii.length;
+        const deviation = Math.sqrt(variance) / meanRadius;
+
+        if (deviation > this.circleMaxRadiusDeviation) {
+            return null;
+        }
+
+        // Total angle swept around the center
+        let sweep = 0;
+        let previousAngle = Math.atan2(samples[0].y - cy, samples[0].x - cx);
+
+        for (let i = 1; i < samples.length; i++) {
+            const angle = Math.atan2(samples[i].y - cy, samples[i].x - cx);
+            let delta = angle - previousAngle;
+
+            // Wrap to -PI..PI
+            if (delta > Math.PI) delta -= Math.PI * 2;
+            if (delta < -Math.PI) delta += Math.PI * 2;
+
+            sweep += delta;
+            previousAngle = angle;
+        }
+
+        if (Math.abs(sweep) < this.circleMinAngle) {
+            return null;
+        }
+
+        // Image y points down, so a positive sweep is clockwise on screen
+        const clockwise = this.mirroredInput ? sweep > 0 : sweep < 0;
+
+        return {
+            type: TemporalGesture.CIRCLE,
+            timestamp: timestamp,
+            duration: timestamp - samples[0].timestamp,
+            confidence: Math.min(1, Math.abs(sweep) / (Math.PI * 2)) * (1 - deviation),
+            direction: clockwise ? 'clockwise' : 'counterclockwise',
+            radius: meanRadius
+        };
+    }
+
+    /**
+     * Detect a pose held still for long enough (fires once per hold)
+     */
+    detectHold(sample) {
+        const hold = this.hold;
+
+        if (!hold || hold.pose !== sample.pose || sample.pose === 'none') {
+            this.startHold(sample);
+            return null;
+        }
+
+        const drift = Math.sqrt(
+            (sample.x - hold.anchor.x) ** 2 +
+            (sample.y - hold.anchor.y) ** 2
+        );
+
+        // Moved too much - start timing again from here
+        if (drift > this.holdTolerance) {
+            this.startHold(sample);
+            return null;
+        }
+
+        const duration = sample.timestamp - hold.start;
+        const required = this.holdDurations[hold.pose] ?? this.holdDuration;
+
+        if (hold.fired || duration < required) {
+            return null;
+        }
+
+        hold.fired = true;
+
+        return {
+            type: TemporalGesture.HOLD,
+            pose: hold.pose,
+            timestamp: sample.timestamp,
+            duration: duration,
+            confidence: 1 - drift / this.holdTolerance
+        };
+    }
+
+    /**
+     * Begin timing a new hold
+     */
+    startHold(sample) {
+        this.hold = {
+            pose: sample.pose,
+            start: sample.timestamp,
+            anchor: { x: sample.x, y: sample.y },
+            fired: false
+        };
+    }
+
+    /**
+     * Total distance travelled through a list of samples
+     */
+    getPathLength(samples) {
+        let length = 0;
+        for (let i = 1; i < samples.length; i++) {
+            const dx = samples[i].x - samples[i - 1].x;
+            const dy = samples[i].y - samples[i - 1].y;
+            length += Math.sqrt(dx * dx + dy * dy);
+        }
+        return length || 1;
+    }
+
+    /**
+     * Update configuration
+     */
+    configure(options) {
+        const keys = [
+            'windowMs', 'swipeWindowMs', 'swipeMinDistance', 'swipeDirectionRatio',
+            'swipeMinStraightness', 'circleMinSamples', 'circleMinRadius', 'circleMinAngle',
+            'circleMaxRadiusDeviation', 'holdDuration', 'holdTolerance', 'cooldownMs',
+            'mirroredInput'
+        ];
+
+        for (const key of keys) {
+            if (options[key] !== undefined) {
+                this[key] = options[key];
+            }
+        }
+
+        if (options.holdDurations !== undefined) {
+            this.holdDurations = { ...this.holdDurations, ...options.holdDurations };
+        }
+    }
+
+    /**
+     * Clear history (hand lost or mode change)
+     */
+    reset() {
+        this.history = [];
+        this.hold = null;
+    }
+
+    /**
+     * Cleanup
+     */
+    dispose() {
+        this.reset();
+        this.onGesture = null;
+    }
+}
@@ -0,0 +1,241 @@
+/**
+ * TouchInput - Touch and Pen Controls
+ *
+ * Responsible for:
+ * - Steering by dragging anywhere on the play area (absolute or virtual joystick)
+ * - Shield from a second finger or the on-screen shield button
+ * - One-shot pause from the on-screen pause button
+ *
+ * Uses pointer events and ignores mouse pointers, which InputMapper
+ * already handles.
+ */
+
+// How a steering drag maps to movement
+export const TouchMode = {
+    ABSOLUTE: 'absolute',   // Finger position is the platform position
+    JOYSTICK: 'joystick'    // Drag distance from where the finger landed
+};
+
+export class TouchInput {
+    constructor() {
+        this.mode = TouchMode.ABSOLUTE;
+        this.joystickRadius = 60;   // px of drag for full deflection
+
+        // Steering finger: { id, originX, originY, x, y }
+        this.steer = null;
+        this.lastPosition = { x: 0, y: 0 };
+
+        // Any other finger on the play area holds the shield
+        this.extraPointers = new Set();
+        this.shieldButtonHeld = false;
+        this.pausePressed = false;
+        this.used = false;
+
+        // DOM
+        this.surface = null;
+        this.controls = {};
+
+        // Callbacks
+        this.onFirstTouch = null;
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleShieldDown = this.handleShieldDown.bind(this);
+        this.handleShieldUp = this.handleShieldUp.bind(this);
+        this.handlePauseDown = this.handlePauseDown.bind(this);
+    }
+
+    /**
+     * Listen on the play area and the on-screen buttons
+     */
+    init(surface, controls = {}) {
+        this.surface = surface;
+        this.controls = controls;
+
+        if (surface) {
+            surface.addEventListener('pointerdown', this.handlePointerDown);
+            surface.addEventListener('pointermove', this.handlePointerMove);
+            surface.addEventListener('pointerup', this.handlePointerUp);
+            surface.addEventListener('pointercancel', this.handlePointerUp);
+        }
+
+        const { shieldButton, pauseButton } = controls;
+
+        if (shieldButton) {
+            shieldButton.addEventListener('pointerdown', this.handleShieldDown);
+            shieldButton.addEventListener('pointerup', this.handleShieldUp);
+            shieldButton.addEventListener('pointercancel', this.handleShieldUp);
+            shieldButton.addEventListener('pointerleave', this.handleShieldUp);
+        }
+        if (pauseButton) {
+            pauseButton.addEventListener('pointerdown', this.handlePauseDown);
+        }
+
+        return this;
+    }
+
+    /**
+     * Check if a pointer event came from a finger or pen
+     */
+    isTouch(event) {
+        return event.pointerType === 'touch' || event.pointerType === 'pen';
+    }
+
+    handlePointerDown(event) {
+        if (!this.isTouch(event)) return;
+
+        // No emulated mouse events, no scrolling or zooming
+        event.preventDefault();
+        this.markUsed();
+
+        if (!this.steer) {
+            this.steer = {
+                id: event.pointerId,
+                originX: event.clientX,
+                originY: event.clientY,
+                x: event.clientX,
+                y: event.clientY
+            };
+            this.surface.setPointerCapture?.(event.pointerId);
+        } else {
+            this.extraPointers.add(event.pointerId);
+        }
+    }
+
+    handlePointerMove(event) {
+        if (this.steer && event.pointerId === this.steer.id) {
+            this.steer.x = event.clientX;
+            this.steer.y = event.clientY;
+        }
+    }
+
+    handlePointerUp(event) {
+        if (this.steer && event.pointerId === this.steer.id) {
+            this.steer = null;
+        } else {
+            this.extraPointers.delete(event.pointerId);
+        }
+    }
+
+    handleShieldDown(event) {
+        event.preventDefault();
+        this.markUsed();
+        this.shieldButtonHeld = true;
+    }
+
+    handleShieldUp() {
+        this.shieldButtonHeld = false;
+    }
+
+    handlePauseDown(event) {
+        event.preventDefault();
+        this.markUsed();
+        this.pausePressed = true;
+    }
+
+    markUsed() {
+        if (!this.used) {
+            this.used = true;
+            if (this.onFirstTouch) {
+                this.onFirstTouch();
+            }
+        }
+    }
+
+    /**
+     * Read touch state (call once per frame, pause is one-shot)
+     * Returns { horizontal, vertical, actionPrimary, pause, steering, active }
+     */
+    poll() {
+        if (this.steer) {
+            this.lastPosition = this.mode === TouchMode.JOYSTICK ?
+                this.getJoystickPosition() :
+                {
+                    x: (this.steer.x / window.innerWidth) * 2 - 1,
+                    y: (this.steer.y / window.innerHeight) * 2 - 1
+                };
+        } else if (this.mode === TouchMode.JOYSTICK) {
+            // Letting go recenters the stick
+            this.lastPosition = { x: 0, y: 0 };
+        }
+
+        const actionPrimary = this.shieldButtonHeld || this.extraPointers.size > 0;
+        const pause = this.pausePressed;
+        this.pausePressed = false;
+
+        return {
+            horizontal: this.lastPosition.x,
+            vertical: this.lastPosition.y,
+            actionPrimary: actionPrimary,
+            pause: pause,
+            steering: this.steer !== null,
+            active: this.steer !== null || actionPrimary
+        };
+    }
+
+    /**
+     * Drag offset from the touch-down point, clamped to the joystick radius
+     */
+    getJoystickPosition() {
+        const dx = (this.steer.x - this.steer.originX) / this.joystickRadius;
+        const dy = (this.steer.y - this.steer.originY) / this.joystickRadius;
+        const magnitude = Math.sqrt(dx * dx + dy * dy);
+        const scale = magnitude > 1 ? 1 / magnitude : 1;
+
+        return { x: dx * scale, y: dy * scale };
+    }
+
+    /**
+     * Joystick origin and knob in screen pixels (null unless dragging in joystick mode)
+     */
+    getJoystick() {
+        if (!this.steer || this.mode !== TouchMode.JOYSTICK) {
+            return null;
+        }
+
+        const position = this.getJoystickPosition();
+
+        return {
+            originX: this.steer.originX,
+            originY: this.steer.originY,
+            knobX: this.steer.originX + position.x * this.joystickRadius,
+            knobY: this.steer.originY + position.y * this.joystickRadius,
+            radius: this.joystickRadius
+        };
+    }
+
+    /**
+     * Switch between absolute and joystick steering
+     */
+    setMode(mode) {
+        this.mode = mode === TouchMode.JOYSTICK ? TouchMode.JOYSTICK : TouchMode.ABSOLUTE;
+        this.lastPosition = { x: 0, y: 0 };
+    }
+
+    /**
+     * Cleanup
+     */
+    dispose() {
+        if (this.surface) {
+            this.surface.removeEventListener('pointerdown', this.handlePointerDown);
+            this.surface.removeEventListener('pointermove', this.handlePointerMove);
+            this.surface.removeEventListener('pointerup', this.handlePointerUp);
+            this.surface.removeEventListener('pointercancel', this.handlePointerUp);
+        }
+
+        const { shieldButton, pauseButton } = this.controls;
+
+        if (shieldButton) {
+            shieldButton.removeEventListener('pointerdown', this.handleShieldDown);
+            shieldButton.removeEventListener('pointerup', this.handleShieldUp);
+            shieldButton.removeEventListener('pointercancel', this.handleShieldUp);
+            shieldButton.removeEventListener('pointerleave', this.handleShieldUp);
+        }
+        if (pauseButton) {
+            pauseButton.removeEventListener('pointerdown', this.handlePauseDown);
+        }
+
+        this.onFirstTouch = null;
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * WorkerBackend - HandLandmarker in a Web Worker
+ *
+ * Responsible for:
+ * - Starting CVWorker and waiting for its model to load
+ * - Sending frames as transferable ImageBitmaps
+ * - Relaying results (and errors) back to CVEngine
+ */
+
+import { DetectorBackend } from './DetectorBackend.js';
+
+// How long to wait for the worker to download and load the model
+const WORKER_INIT_TIMEOUT = 30000;
+
+export class WorkerBackend extends DetectorBackend {
+    constructor() {
+        super();
+        this.worker = null;
+        this.offMainThread = true;
+
+        // Settles the frame currently in the worker: { resolve, reject }
+        this.pendingFrame = null;
+
+        // Called if the worker dies after init
+        this.onCrash = null;
+    }
+
+    /**
+     * Check if this browser can run inference in a worker
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined';
+    }
+
+    /**
+     * Start the worker and wait for its model to load
+     */
+    async init(options) {
+        if (!WorkerBackend.isSupported()) {
+            throw new Error('Module workers or OffscreenCanvas not supported');
+        }
+
+        this.worker = new Worker(new URL('./CVWorker.js', import.meta.url), { type: 'module' });
+
+        const delegate = await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                reject(new Error('CV worker timed out loading the model'));
+            }, WORKER_INIT_TIMEOUT);
+
+            this.worker.onmessage = (event) => {
+                if (event.data.type === 'ready') {
+                    clearTimeout(timeout);
+                    resolve(event.data.delegate);
+                } else if (event.data.type === 'error') {
+                    clearTimeout(timeout);
+                    reject(new Error(event.data.message));
+                }
+            };
+
+            this.worker.onerror = (event) => {
+                clearTimeout(timeout);
+                reject(new Error(event.message || 'CV worker failed to load'));
+            };
+
+            this.worker.postMessage({ type: 'init', options: options });
+        });
+
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            console.error('CV worker error:', event.message);
+            this.settleFrame(new Error(event.message || 'CV worker crashed'));
+            this.close();
+
+            if (this.onCrash) {
+                this.onCrash(new Error(event.message || 'CV worker crashed'));
+            }
+        };
+
+        console.log(`CV worker ready (${delegate})`);
+    }
+
+    /**
+     * Handle a message from the worker
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'results':
+                this.emit(message.results);
+                this.settleFrame();
+                break;
+
+            case 'error':
+                this.settleFrame(new Error(message.message));
+                break;
+        }
+    }
+
+    /**
+     * Grab the frame and hand it to the worker
+     * Resolves once the worker has answered for it
+     */
+    async send(image, timestamp = performance.now()) {
+        const bitmap = await createImageBitmap(image);
+
+        if (!this.worker) {
+            bitmap.close();
+            return;
+        }
+
+        return new Promise((resolve, reject) => {
+            this.pendingFrame = { resolve, reject };
+            this.worker.postMessage(
+                { type: 'frame', bitmap: bitmap, timestamp: timestamp },
+                [bitmap]
+            );
+        });
+    }
+
+    /**
+     * Resolve (or reject) the frame in flight
+     */
+    settleFrame(error = null) {
+        const pending = this.pendingFrame;
+        this.pendingFrame = null;
+
+        if (pending) {
+            if (error) {
+                pending.reject(error);
+            } else {
+                pending.resolve();
+            }
+        }
+    }
+
+    setOptions(options) {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'options', options: options });
+        }
+    }
+
+    close() {
+        super.close();
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.settleFrame(new Error('CV worker closed'));
+    }
+}
@@ -12,11 +12,35 @@
  */
 
 import { CameraManager } from './CameraManager.js';
-import { CVEngine } from './CVEngine.js';
-import { FeatureProcessor } from './FeatureProcessor.js';
-import { InputMapper } from './InputMapper.js';
-import { GameController, GameState } from './GameController.js';
+import { CVEngine, CustomGestureMode } from './CVEngine.js';
+import { DetectorBackendType } from './DetectorBackend.js';
+import { FeatureProcessor, DEFAULT_INPUT_RANGE, HandLostPolicy } from './FeatureProcessor.js';
+import { InputMapper, HandMode, InputSource, HOLD_DURATIONS } from './InputMapper.js';
+import { Commands, CommandPhase } from './Commands.js';
+import { GameController, GameState, DepthMode } from './GameController.js';
 import { Renderer } from './Renderer.js';
+import { TemporalGestureDetector } from './TemporalGestureDetector.js';
+import { GestureStore } from './GestureStore.js';
+import { GestureClassifier, CUSTOM_GESTURE_PREFIX } from './GestureClassifier.js';
+import { GestureRecorder, RecordingPhase } from './GestureRecorder.js';
+import { CalibrationWizard, CalibrationPhase } from './CalibrationWizard.js';
+import { TouchMode } from './TouchInput.js';
+import { HandCursor } from './HandCursor.js';
+import { InputRecorder, InputReplay } from './InputRecorder.js';
+import { COMMAND_LABELS, describeBinding } from './InputBindings.js';
+import { loadPreference, savePreference, removePreference } from './Preferences.js';
+
+const CUSTOM_GESTURE_MODE_KEY = 'customGestureMode';
+const CV_QUALITY_KEY = 'cvQuality';
+const DEPTH_MODE_KEY = 'depthMode';
+const SMOOTHING_KEY = 'smoothingFilter';
+const PREDICTION_KEY = 'motionPrediction';
+const CALIBRATION_KEY = 'calibration';
+const RESPONSE_KEY = 'movementResponse';
+const HAND_LOST_KEY = 'handLostPolicy';
+const GAMEPAD_DEADZONE_KEY = 'gamepadDeadzone';
+const TOUCH_MODE_KEY = 'touchMode';
+const BEST_REPLAY_KEY = 'bestReplay';
 
 class CosmicOrbCatcher {
     constructor() {
@@ -27,12 +51,34 @@ class CosmicOrbCatcher {
         this.inputMapper = new InputMapper();
         this.gameController = new GameController();
         this.renderer = new Renderer();
+        this.temporalGestures = new TemporalGestureDetector();
+        this.gestureStore = new GestureStore();
+        this.gestureClassifier = new GestureClassifier();
+        this.gestureRecorder = new GestureRecorder();
+        this.calibrationWizard = new CalibrationWizard();
+        this.handCursor = new HandCursor();
+        this.inputRecorder = new InputRecorder();
 
         // State
         this.isRunning = false;
+        this.metricsTimer = null;
         this.cvInitialized = false;
         this.lastFrameTime = 0;
 
+        // Hand lost tracking (only once a hand has been seen)
+        this.handTracked = false;
+        this.handLostSince = null;
+        this.handLostPaused = false;
+
+        // Rebind waiting for an input (a newer one takes over the UI)
+        this.bindingCapture = null;
+
+        // Replays: every game is recorded; a replay being watched drives the game instead
+        this.lastReplay = null;
+        this.bestReplayScore = loadPreference(BEST_REPLAY_KEY, null)?.score ?? null;
+        this.replay = null;
+        this.replayRestore = null;  // { mode, depthMode } to go back to afterwards
+
         // DOM elements
         this.canvas = null;
         this.videoElement = null;
@@ -61,17 +107,36 @@ class CosmicOrbCatcher {
         await this.initRenderer();
         this.initInputMapper();
         this.initGameController();
+        await this.initCustomGestures();
         await this.initCVPipeline();
 
         // Setup UI event listeners
         this.setupUIListeners();
 
+        // Cache assets for offline play
+        this.registerServiceWorker();
+
         // Start the main loop
         this.startMainLoop();
 
         console.log('✅ Initialization complete!');
     }
 
+    /**
+     * Register the service worker that makes the game work offline
+     */
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) {
+            return;
+        }
+
+        try {
+            await navigator.serviceWorker.register('sw.js');
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+        }
+    }
+
     /**
      * Initialize Renderer (Babylon.js)
      */
@@ -85,13 +150,227 @@ class CosmicOrbCatcher {
      * Initialize InputMapper
      */
     initInputMapper() {
-        this.inputMapper.init(this.canvas);
+        this.inputMapper.init(this.canvas, {
+            shieldButton: document.getElementById('touchShieldBtn'),
+            pauseButton: document.getElementById('touchPauseBtn')
+        });
+
+        // Hand-driven pointer for the menu, pause and game over buttons
+        this.handCursor.init(document.getElementById('handCursor'));
 
         // Handle input source changes
         this.inputMapper.onInputSourceChange = (source, displayName) => {
             this.renderer.updateInputType(displayName);
+            if (source === InputSource.TOUCH) {
+                this.renderer.setTouchControls(true);
+            }
             console.log(`Input source changed to: ${displayName}`);
         };
+
+        this.renderer.updateHandControls(
+            this.inputMapper.handMode === HandMode.DUAL,
+            this.inputMapper.handRoles.movement
+        );
+        this.renderer.updatePlayerAssignment(this.inputMapper.playerAssignment);
+
+        // Gamepad stick deadzone
+        const deadzone = loadPreference(GAMEPAD_DEADZONE_KEY, null);
+        if (deadzone !== null) {
+            this.inputMapper.gamepads.configure({ deadzone: deadzone });
+        }
+        this.renderer.updateGamepadDeadzone(this.inputMapper.gamepads.deadzone);
+
+        this.renderer.updateBindings(this.inputMapper.bindings);
+
+        // Touch steering style
+        this.inputMapper.touch.setMode(loadPreference(TOUCH_MODE_KEY, TouchMode.ABSOLUTE));
+        this.renderer.updateTouchMode(this.inputMapper.touch.mode);
+
+        // Smoothing filter for hand positions
+        const filterType = loadPreference(SMOOTHING_KEY, null);
+        if (filterType) {
+            this.featureProcessor.configure({ filterType: filterType });
+        }
+        this.featureProcessor.configure({
+            prediction: { enabled: loadPreference(PREDICTION_KEY, false) === true }
+        });
+        this.renderer.updateSmoothing(
+            this.featureProcessor.filterType,
+            this.featureProcessor.prediction.enabled
+        );
+
+        // Hand lost behavior
+        this.featureProcessor.configure({
+            handLost: { policy: loadPreference(HAND_LOST_KEY, HandLostPolicy.HOLD) }
+        });
+        this.renderer.updateHandLostPolicy(this.featureProcessor.handLost.policy);
+
+        // Response curve, sensitivity and trackpad mode
+        const response = loadPreference(RESPONSE_KEY, null);
+        if (response) {
+            this.featureProcessor.configure({ response: response });
+        }
+        this.renderer.updateMovementResponse(this.featureProcessor.response.getSettings());
+
+        // Per-user hand range
+        const calibration = loadPreference(CALIBRATION_KEY, null);
+        if (calibration) {
+            this.applyCalibration(calibration);
+            this.renderer.updateCalibrationStatus('Using your calibrated range');
+        }
+    }
+
+    /**
+     * Show the hand lost indicator and auto-pause if that's the policy
+     */
+    updateHandLost(detected) {
+        if (detected) {
+            this.handTracked = true;
+            this.handLostSince = null;
+            this.handLostPaused = false;
+            this.renderer.updateHandLost(false);
+            return;
+        }
+
+        // Never saw a hand (keyboard player) - nothing was lost
+        if (!this.handTracked) {
+            return;
+        }
+
+        const now = performance.now();
+
+        if (this.handLostSince === null) {
+            this.handLostSince = now;
+            this.renderer.updateHandLost(true);
+        }
+
+        const { policy, pauseAfterMs } = this.featureProcessor.handLost;
+
+        if (policy === HandLostPolicy.PAUSE && !this.handLostPaused &&
+            now - this.handLostSince >= pauseAfterMs &&
+            this.gameController.state === GameState.PLAYING) {
+            this.handLostPaused = true;
+            this.gameController.pause();
+            this.renderer.showNotification('✋ Hand lost - game paused');
+        }
+    }
+
+    /**
+     * Change part of the movement response and remember it
+     */
+    setMovementResponse(changes) {
+        this.featureProcessor.configure({ response: changes });
+
+        const response = this.featureProcessor.response.getSettings();
+        savePreference(RESPONSE_KEY, response);
+        this.renderer.updateMovementResponse(response);
+    }
+
+    /**
+     * Use a calibration profile for hand-to-game mapping
+     */
+    applyCalibration(profile) {
+        this.featureProcessor.configure({
+            inputRange: profile.inputRange,
+            transform: profile.transform
+        });
+    }
+
+    /**
+     * Run the calibration wizard and store the resulting profile
+     */
+    async calibrate() {
+        if (!this.cvInitialized) {
+            this.renderer.updateCalibrationStatus('Hand tracking must be active to calibrate', true);
+            return;
+        }
+        if (this.calibrationWizard.isRunning()) {
+            return;
+        }
+
+        this.gameController.pause();
+
+        this.calibrationWizard.onStep = (target, index, phase, progress) => {
+            const message = phase === CalibrationPhase.SETTLE ?
+                `${index + 1}/5 · Move your hand to the ${target.label}` :
+                `${index + 1}/5 · Hold still...`;
+            this.renderer.updateCalibrationTarget(target, message, progress);
+        };
+
+        this.renderer.toggleSettings(false);
+        this.renderer.showCalibration(true);
+
+        try {
+            const profile = await this.calibrationWizard.start();
+
+            this.applyCalibration(profile);
+            savePreference(CALIBRATION_KEY, profile);
+
+            this.renderer.updateCalibrationStatus('Using your calibrated range');
+            this.renderer.showNotification('◎ Calibration saved');
+        } catch (error) {
+            this.renderer.updateCalibrationStatus(error.message, true);
+        } finally {
+            this.renderer.showCalibration(false);
+        }
+    }
+
+    /**
+     * Route a command event from InputMapper
+     * Pause backs out of calibration or the settings panel instead of reaching the game
+     */
+    handleCommand(event) {
+        const pausePressed = event.command === Commands.PAUSE && event.phase === CommandPhase.PRESS;
+
+        if (this.calibrationWizard.isRunning()) {
+            if (pausePressed) {
+                this.calibrationWizard.cancel();
+            }
+            return;
+        }
+        if (pausePressed && this.renderer.isSettingsOpen()) {
+            this.renderer.toggleSettings(false);
+            return;
+        }
+        if (this.isHandCursorClick(event)) {
+            return;
+        }
+
+        // Restart during a replay stops watching
+        if (this.replay && event.command === Commands.RESTART && event.phase === CommandPhase.PRESS) {
+            this.stopReplay();
+            return;
+        }
+
+        this.gameController.handleCommand(event);
+    }
+
+    /**
+     * Check if a command comes from the pose the hand cursor clicks with
+     * while it points at a button (the button gets it, not the game)
+     */
+    isHandCursorClick(event) {
+        if (event.phase !== CommandPhase.PRESS || !this.handCursor.isOverTarget()) {
+            return false;
+        }
+
+        const pointer = this.inputMapper.getHandPointer();
+
+        return !!pointer && pointer.gesture === this.handCursor.clickGesture &&
+            this.inputMapper.getGestureCommands(pointer.gesture).includes(event.command);
+    }
+
+    /**
+     * Forget the calibration and go back to the default range
+     */
+    resetCalibration() {
+        this.calibrationWizard.cancel();
+        removePreference(CALIBRATION_KEY);
+        this.featureProcessor.configure({
+            inputRange: DEFAULT_INPUT_RANGE,
+            transform: null
+        });
+        this.renderer.updateCalibrationStatus('Using the default range');
     }
 
     /**
@@ -100,10 +379,25 @@ class CosmicOrbCatcher {
     initGameController() {
         this.gameController.init();
 
+        // Commands reach the open overlays first, then the game
+        this.inputMapper.addCommandListener((event) => this.handleCommand(event));
+
         // Wire up callbacks
         this.gameController.onStateChange = (newState, oldState) => {
             const stats = this.gameController.getStats();
             this.renderer.onGameStateChange(newState, oldState, stats);
+            this.updateRecording(newState, stats);
+        };
+
+        this.gameController.onGameStart = (seed) => {
+            // Watched replays aren't recorded again
+            if (!this.replay) {
+                this.inputRecorder.start({
+                    seed: seed,
+                    mode: this.gameController.mode,
+                    depthMode: this.gameController.depthMode
+                });
+            }
         };
 
         this.gameController.onEntitySpawn = (entity) => {
@@ -114,20 +408,20 @@ class CosmicOrbCatcher {
             this.renderer.removeEntity(entityId);
         };
 
-        this.gameController.onScoreUpdate = (score) => {
-            this.renderer.updateScore(score);
+        this.gameController.onScoreUpdate = (score, playerIndex) => {
+            this.renderer.updateScore(score, playerIndex);
         };
 
-        this.gameController.onComboUpdate = (combo) => {
-            this.renderer.updateCombo(combo);
+        this.gameController.onComboUpdate = (combo, playerIndex) => {
+            this.renderer.updateCombo(combo, playerIndex);
         };
 
-        this.gameController.onShieldUpdate = (energy, active) => {
-            this.renderer.updateShield(energy, active);
+        this.gameController.onShieldUpdate = (energy, active, playerIndex) => {
+            this.renderer.updateShield(energy, active, playerIndex);
         };
 
-        this.gameController.onPlayerMove = (x, z) => {
-            this.renderer.updatePlayerPosition(x, z);
+        this.gameController.onPlayerMove = (x, z, playerIndex, y) => {
+            this.renderer.updatePlayerPosition(x, z, playerIndex, y);
         };
 
         this.gameController.onOrbCatch = (orb, points) => {
@@ -137,6 +431,352 @@ class CosmicOrbCatcher {
         this.gameController.onHazardHit = (hazard, blocked) => {
             this.renderer.showHazardEffect(hazard, blocked);
         };
+
+        this.gameController.onPlayerEliminated = (playerIndex) => {
+            this.renderer.setPlayerEliminated(playerIndex);
+            this.renderer.showNotification(`💥 Player ${playerIndex + 1} is out!`);
+        };
+
+        this.gameController.setDepthMode(loadPreference(DEPTH_MODE_KEY, DepthMode.OFF));
+        this.renderer.updateDepthMode(this.gameController.depthMode);
+        this.renderer.updateReplays(false, this.bestReplayScore);
+    }
+
+    /**
+     * Switch between single player, co-op and versus
+     */
+    setGameMode(mode) {
+        if (!this.gameController.setMode(mode)) {
+            return;
+        }
+
+        const playerCount = this.gameController.getPlayerCount();
+
+        this.renderer.setPlayerCount(playerCount);
+        this.renderer.updateGameMode(this.gameController.mode);
+        this.inputMapper.setPlayerCount(playerCount);
+        this.updateTrackedHands();
+        this.featureProcessor.reset();
+
+        // Re-sync HUD and platforms with the fresh players
+        this.gameController.reset();
+    }
+
+    /**
+     * Track two hands when two-hand control or two players need them
+     */
+    updateTrackedHands() {
+        const needsTwo = this.inputMapper.handMode === HandMode.DUAL ||
+            this.inputMapper.playerCount > 1;
+        this.cvEngine.setMaxHands(needsTwo ? 2 : 1);
+    }
+
+    /**
+     * Load recorded gestures and hook up the recorder
+     */
+    async initCustomGestures() {
+        const mode = loadPreference(CUSTOM_GESTURE_MODE_KEY, CustomGestureMode.ALONGSIDE);
+        this.cvEngine.setCustomClassifier(null, mode);
+        this.renderer.updateCustomGestureMode(mode === CustomGestureMode.REPLACE);
+
+        this.gestureRecorder.onProgress = (phase, progress) => {
+            const text = phase === RecordingPhase.COUNTDOWN ?
+                `Get ready... ${Math.ceil((1 - progress) * this.gestureRecorder.countdownMs / 1000)}` :
+                `Hold the pose... ${Math.round(progress * 100)}%`;
+            this.renderer.updateGestureRecording(text);
+        };
+
+        const result = await this.gestureStore.open();
+        if (!result.success) {
+            this.renderer.updateGestureRecording('Custom gestures need IndexedDB', true);
+            return;
+        }
+
+        await this.reloadCustomGestures();
+    }
+
+    /**
+     * Retrain the classifier and command map from stored gestures
+     */
+    async reloadCustomGestures() {
+        let gestures = [];
+        try {
+            gestures = await this.gestureStore.getAll();
+        } catch (error) {
+            console.warn('Could not load custom gestures:', error);
+        }
+
+        this.gestureClassifier.train(gestures);
+        this.cvEngine.setCustomClassifier(gestures.length > 0 ? this.gestureClassifier : null);
+
+        const commands = {};
+        for (const gesture of gestures) {
+            if (gesture.command) {
+                commands[CUSTOM_GESTURE_PREFIX + gesture.name] = gesture.command;
+            }
+        }
+        this.inputMapper.setGestureCommands(commands);
+
+        this.renderer.updateCustomGestures(gestures);
+    }
+
+    /**
+     * Record a new custom gesture and map it to a command
+     */
+    async recordCustomGesture(name, command) {
+        name = name.trim();
+
+        if (!name) {
+            this.renderer.updateGestureRecording('Enter a name first', true);
+            return;
+        }
+        if (!this.cvInitialized) {
+            this.renderer.updateGestureRecording('Hand tracking must be active to record', true);
+            return;
+        }
+
+        try {
+            const samples = await this.gestureRecorder.record(name);
+
+            // Recording an existing name adds variations to it
+            const existing = await this.gestureStore.get(name);
+
+            await this.gestureStore.save({
+                id: name,
+                name: name,
+                command: command || null,
+                samples: existing ? existing.samples.concat(samples) : samples,
+                createdAt: existing ? existing.createdAt : Date.now()
+            });
+            await this.reloadCustomGestures();
+
+            this.renderer.updateGestureRecording(`Saved "${name}" (${samples.length} samples)`);
+            this.renderer.showNotification(`✋ Custom gesture "${name}" saved`);
+        } catch (error) {
+            this.renderer.updateGestureRecording(error.message, true);
+        }
+    }
+
+    /**
+     * Delete a recorded gesture
+     */
+    async deleteCustomGesture(id) {
+        try {
+            await this.gestureStore.remove(id);
+        } catch (error) {
+            console.warn('Could not delete custom gesture:', error);
+        }
+        await this.reloadCustomGestures();
+    }
+
+    /**
+     * Recognize custom gestures alongside or instead of the built-in ones
+     */
+    setCustomGestureMode(replace) {
+        const mode = replace ? CustomGestureMode.REPLACE : CustomGestureMode.ALONGSIDE;
+        this.cvEngine.setCustomClassifier(this.cvEngine.customClassifier, mode);
+        savePreference(CUSTOM_GESTURE_MODE_KEY, mode);
+    }
+
+    /**
+     * Bind the next input the player presses to a command
+     * An input already used elsewhere has to be pressed twice to move it
+     */
+    async rebindCommand(command) {
+        const name = COMMAND_LABELS[command];
+        const capture = {};
+        this.bindingCapture = capture;
+
+        this.renderer.updateBindings(this.inputMapper.bindings, command);
+        this.renderer.updateBindingStatus(`Press a key, mouse or pad button, or make a gesture for ${name} (Esc cancels)`);
+
+        try {
+            const binding = await this.inputMapper.captureNextInput();
+            let result = this.inputMapper.addBinding(command, binding);
+
+            if (result.reason === 'conflict') {
+                const other = COMMAND_LABELS[result.conflict];
+                this.renderer.updateBindingStatus(
+                    `${describeBinding(binding)} is already used for ${other} - press it again to move it to ${name}`,
+                    true
+                );
+
+                if (await this.inputMapper.captureNextInput() !== binding) {
+                    this.renderer.updateBindingStatus(`${describeBinding(binding)} left on ${other}`);
+                    return;
+                }
+                result = this.inputMapper.addBinding(command, binding, true);
+            }
+
+            this.renderer.updateBindingStatus(result.moved ?
+                `${describeBinding(binding)} moved from ${COMMAND_LABELS[result.moved]} to ${name}` :
+                `${describeBinding(binding)} now triggers ${name}`);
+        } catch (error) {
+            // Cancelled, or replaced by a newer rebind that owns the UI now
+            if (this.bindingCapture === capture) {
+                this.renderer.updateBindingStatus('');
+            }
+        } finally {
+            if (this.bindingCapture === capture) {
+                this.bindingCapture = null;
+                this.renderer.updateBindings(this.inputMapper.bindings);
+            }
+        }
+    }
+
+    /**
+     * Save the bindings as a JSON file
+     */
+    exportBindings() {
+        const json = JSON.stringify(this.inputMapper.bindings.toJSON(), null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'cosmic-orb-catcher-bindings.json';
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Load bindings from an exported JSON file
+     */
+    async importBindings(file) {
+        let result;
+
+        try {
+            result = this.inputMapper.importBindings(JSON.parse(await file.text()));
+        } catch (error) {
+            result = { success: false, reason: 'Not a valid JSON file' };
+        }
+
+        if (result.success) {
+            this.renderer.updateBindings(this.inputMapper.bindings);
+            this.renderer.updateBindingStatus(`Loaded bindings from ${file.name}`);
+        } else {
+            this.renderer.updateBindingStatus(result.reason, true);
+        }
+    }
+
+    /**
+     * Finish or drop the recording as games end
+     */
+    updateRecording(state, stats) {
+        if (state === GameState.MENU) {
+            this.inputRecorder.cancel();
+        } else if (state === GameState.GAME_OVER) {
+            if (this.replay) {
+                this.stopReplay();
+            } else if (this.inputRecorder.isRecording()) {
+                this.saveReplay(this.inputRecorder.stop(stats));
+            }
+        }
+    }
+
+    /**
+     * Keep a finished game as the last one, and as the best run if it scored highest
+     */
+    saveReplay(replay) {
+        this.lastReplay = replay;
+
+        if (this.bestReplayScore === null || replay.score > this.bestReplayScore) {
+            if (savePreference(BEST_REPLAY_KEY, replay)) {
+                this.bestReplayScore = replay.score;
+                this.renderer.showNotification('🏆 New best run saved - watch it under ⚙️ Replays');
+            }
+        }
+
+        this.renderer.updateReplays(true, this.bestReplayScore);
+    }
+
+    /**
+     * Watch a recorded game (replay data or a parsed replay file)
+     */
+    watchReplay(data) {
+        const replay = new InputReplay();
+        const result = replay.load(data);
+
+        if (!result.success) {
+            this.renderer.updateReplayStatus(result.reason, true);
+            return;
+        }
+
+        this.inputRecorder.cancel();
+        this.replayRestore = this.replayRestore || {
+            mode: this.gameController.mode,
+            depthMode: this.gameController.depthMode
+        };
+        this.replay = replay;
+
+        this.renderer.toggleSettings(false);
+        this.renderer.setReplayIndicator(true);
+        this.renderer.updateReplayStatus('');
+
+        replay.begin(this.gameController);
+    }
+
+    /**
+     * Stop watching and put the player's own mode back
+     */
+    stopReplay() {
+        if (!this.replay) {
+            return;
+        }
+
+        this.replay = null;
+        this.renderer.setReplayIndicator(false);
+
+        const state = this.gameController.getState();
+        if (state === GameState.PLAYING || state === GameState.PAUSED) {
+            this.gameController.quit();
+        }
+
+        const { mode, depthMode } = this.replayRestore;
+        this.replayRestore = null;
+        this.setGameMode(mode);
+        this.gameController.setDepthMode(depthMode);
+    }
+
+    /**
+     * Restart from a button (stops a replay instead)
+     */
+    restartGame() {
+        if (this.replay) {
+            this.stopReplay();
+        } else {
+            this.gameController.restart();
+        }
+    }
+
+    /**
+     * Download a replay as JSON
+     */
+    exportReplay(replay, name) {
+        const url = URL.createObjectURL(new Blob([JSON.stringify(replay)], { type: 'application/json' }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `cosmic-orb-catcher-${name}-${replay.score}.json`;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Watch a downloaded replay file
+     */
+    async importReplay(file) {
+        let data;
+
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            this.renderer.updateReplayStatus('Not a valid JSON file', true);
+            return;
+        }
+
+        this.watchReplay(data);
     }
 
     /**
@@ -148,6 +788,34 @@ class CosmicOrbCatcher {
         // Initialize camera manager
         this.cameraManager.init(this.videoElement, this.previewVideo);
 
+        // Recover from the camera being unplugged or taken by another app
+        this.cameraManager.onDisconnect = (reason) => {
+            this.handleCameraLost(reason);
+        };
+
+        this.cameraManager.onReconnect = () => {
+            this.handleCameraRestored();
+        };
+
+        this.cameraManager.onDevicesChanged = () => {
+            this.refreshCameraDevices();
+        };
+
+        const params = new URLSearchParams(window.location.search);
+
+        // Replay recorded landmarks, no camera needed (?detector=mock&landmarks=path.json)
+        if (params.get('detector') === DetectorBackendType.MOCK) {
+            await this.initCVEngine();
+            return;
+        }
+
+        // Replay a recorded clip instead of the webcam (?video=path/to/clip.webm)
+        const videoFile = params.get('video');
+        if (videoFile) {
+            await this.useVideoFile(videoFile);
+            return;
+        }
+
         // Request camera permission
         const permResult = await this.cameraManager.requestPermission();
 
@@ -164,21 +832,61 @@ class CosmicOrbCatcher {
             return;
         }
 
-        // Initialize CV Engine (MediaPipe)
+        // Device labels are available now that permission is granted
+        await this.refreshCameraDevices();
+
+        await this.initCVEngine();
+    }
+
+    /**
+     * Initialize CV Engine (MediaPipe) once a video source is running
+     */
+    async initCVEngine() {
         this.cvEngine.onError = (error) => {
             console.warn('CVEngine error:', error);
             this.handleCVFailure('cv_error');
         };
 
         this.cvEngine.onResults = (results) => {
-            // Process through feature processor
-            const processed = this.featureProcessor.process(results);
+            // Process through feature processor and send to input mapper
+            if (this.inputMapper.playerCount > 1) {
+                this.inputMapper.processCVPlayers(this.featureProcessor.processHands(
+                    results,
+                    (hand) => this.inputMapper.getPlayerHandKey(hand)
+                ));
+            } else if (this.inputMapper.handMode === HandMode.DUAL) {
+                this.inputMapper.processCVHands(this.featureProcessor.processHands(results));
+            } else {
+                this.inputMapper.processCVInput(this.featureProcessor.process(results));
+            }
+
+            // Tracking dropped?
+            this.updateHandLost(results.detected);
 
-            // Send to input mapper
-            this.inputMapper.processCVInput(processed);
+            // Point at menu buttons
+            this.handCursor.update(
+                results.detected ? this.inputMapper.getHandPointer() : null,
+                this.renderer.getInteractiveScreen(),
+                performance.now()
+            );
+
+            // Swipes, circles and holds (single player only)
+            if (this.inputMapper.playerCount === 1) {
+                this.temporalGestures.process(this.getGestureHand(results));
+            }
+
+            // Custom gesture recording in progress
+            if (this.gestureRecorder.isRecording()) {
+                this.gestureRecorder.addFrame(this.getGestureHand(results));
+            }
+
+            // Calibration in progress (raw palm position, before smoothing)
+            if (this.calibrationWizard.isRunning()) {
+                this.calibrationWizard.addFrame(results);
+            }
 
             // Draw landmarks on preview
-            if (this.handCanvas && results.landmarks) {
+            if (this.handCanvas) {
                 const ctx = this.handCanvas.getContext('2d');
                 this.cvEngine.drawLandmarks(
                     ctx,
@@ -188,7 +896,33 @@ class CosmicOrbCatcher {
             }
         };
 
-        const cvResult = await this.cvEngine.init();
+        this.featureProcessor.onGestureStart = (event) => {
+            this.inputMapper.processGestureStart(event);
+        };
+        this.featureProcessor.onGestureEnd = (event) => {
+            this.inputMapper.processGestureEnd(event);
+        };
+
+        this.temporalGestures.configure({ holdDurations: HOLD_DURATIONS });
+        this.temporalGestures.onGesture = (event) => {
+            // A hand held still on a button is dwelling on it, not holding a pose
+            if (this.handCursor.isOverTarget()) {
+                return;
+            }
+            this.inputMapper.processTemporalGesture(event);
+        };
+
+        this.initCVQuality();
+
+        this.updateTrackedHands();
+
+        // Detector backend (?detector=hands|landmarker|worker|mock, ?cvWorker=1 = worker)
+        const params = new URLSearchParams(window.location.search);
+        const cvResult = await this.cvEngine.init({
+            backend: params.get('detector') ||
+                (params.get('cvWorker') === '1' ? DetectorBackendType.WORKER : null),
+            landmarks: params.get('landmarks')
+        });
 
         if (!cvResult.success) {
             this.handleCVFailure('cv_init_failed');
@@ -208,6 +942,125 @@ class CosmicOrbCatcher {
         console.log('✅ CV pipeline initialized successfully');
     }
 
+    /**
+     * Restore quality settings and keep the metrics readout fresh
+     */
+    initCVQuality() {
+        const saved = loadPreference(CV_QUALITY_KEY, {});
+        const quality = this.cvEngine.quality;
+
+        quality.setEnabled(saved.adaptive !== false);
+        quality.setLevel(saved.level ?? 0);
+        this.renderer.updateQualityControls(quality.enabled, quality.levelIndex);
+
+        this.cvEngine.onQualityChange = () => {
+            this.renderer.updateQualityControls(quality.enabled, quality.levelIndex);
+            this.saveCVQuality();
+        };
+
+        if (!this.metricsTimer) {
+            this.metricsTimer = setInterval(() => {
+                this.renderer.updateCVMetrics(this.cvInitialized ? {
+                    ...this.cvEngine.getMetrics(),
+                    pipelineLatency: this.featureProcessor.getData().latency
+                } : null);
+            }, 1000);
+        }
+    }
+
+    /**
+     * Switch adaptive quality on/off, or pin a level
+     */
+    setCVQuality(adaptive, levelIndex = this.cvEngine.quality.levelIndex) {
+        const quality = this.cvEngine.quality;
+
+        quality.setEnabled(adaptive);
+        quality.setLevel(levelIndex);
+
+        this.renderer.updateQualityControls(quality.enabled, quality.levelIndex);
+        this.saveCVQuality();
+    }
+
+    /**
+     * Remember quality settings for the next session
+     */
+    saveCVQuality() {
+        savePreference(CV_QUALITY_KEY, {
+            adaptive: this.cvEngine.quality.enabled,
+            level: this.cvEngine.quality.levelIndex
+        });
+    }
+
+    /**
+     * Hand whose motion drives dynamic gestures
+     * In two-hand mode that's the action hand, so steering never dashes
+     */
+    getGestureHand(results) {
+        if (this.inputMapper.handMode !== HandMode.DUAL) {
+            return results;
+        }
+
+        return (results.hands || []).find(hand =>
+            hand.handedness === this.inputMapper.handRoles.action
+        ) || null;
+    }
+
+    /**
+     * Refresh the camera picker with the current device list
+     */
+    async refreshCameraDevices() {
+        const devices = await this.cameraManager.listDevices();
+        this.renderer.updateCameraDevices(
+            devices,
+            this.cameraManager.getActiveDeviceId(),
+            this.cameraManager.isUsingFile() ? this.cameraManager.fileName : null
+        );
+    }
+
+    /**
+     * Feed a video file (File, Blob or URL) through the CV pipeline
+     */
+    async useVideoFile(source) {
+        const result = await this.cameraManager.startFileSource(source);
+
+        if (!result.success) {
+            console.warn('Video file failed:', result.error);
+            this.renderer.showNotification('⚠️ Could not play video file');
+            return;
+        }
+
+        this.featureProcessor.reset();
+
+        if (!this.cvInitialized) {
+            await this.initCVEngine();
+        } else {
+            this.inputMapper.enableCV();
+            this.showCameraPreview(true);
+        }
+
+        this.renderer.showNotification(`🎞️ Playing ${this.cameraManager.fileName} as camera input`);
+        await this.refreshCameraDevices();
+    }
+
+    /**
+     * Switch to another camera while the game keeps running
+     */
+    async switchCamera(deviceId) {
+        const result = await this.cameraManager.switchDevice(deviceId);
+
+        if (!result.success) {
+            this.renderer.showNotification('⚠️ Could not switch camera');
+        } else if (!this.cvInitialized) {
+            await this.initCVEngine();
+        } else {
+            // Resize landmark canvas for the new resolution
+            this.showCameraPreview(true);
+            this.renderer.showNotification('📷 Camera switched');
+        }
+
+        await this.refreshCameraDevices();
+    }
+
     /**
      * Handle CV initialization failure
      */
@@ -217,6 +1070,10 @@ class CosmicOrbCatcher {
         // Disable CV input
         this.cvInitialized = false;
         this.inputMapper.disableCV();
+        this.handCursor.hide();
+        this.gestureRecorder.cancel('Hand tracking stopped - recording cancelled');
+        this.handTracked = false;
+        this.renderer.updateHandLost(false);
 
         // Show appropriate message
         let message = '';
@@ -242,6 +1099,50 @@ class CosmicOrbCatcher {
         this.showCameraPreview(false);
     }
 
+    /**
+     * Switch between one-hand and two-hand control
+     */
+    setTwoHandMode(enabled) {
+        this.inputMapper.setHandMode(enabled ? HandMode.DUAL : HandMode.SINGLE);
+        this.updateTrackedHands();
+        this.featureProcessor.reset();
+
+        this.renderer.updateHandControls(enabled, this.inputMapper.handRoles.movement);
+    }
+
+    /**
+     * Camera stream dropped mid-session - fall back until it returns
+     */
+    handleCameraLost(reason) {
+        console.warn(`Camera lost: ${reason}`);
+
+        this.gameController.pause();
+        this.inputMapper.disableCV();
+        this.handCursor.hide();
+        this.gestureRecorder.cancel('Camera lost - recording cancelled');
+        this.featureProcessor.reset();
+        this.showCameraPreview(false);
+
+        this.renderer.updatePermissionStatus('📷 Camera disconnected. Waiting for it to return...', true);
+        this.renderer.showNotification('📷 Camera lost. Using keyboard/mouse until it reconnects.', 5000);
+    }
+
+    /**
+     * Camera stream is back - turn hand tracking on again
+     */
+    handleCameraRestored() {
+        console.log('Camera reconnected');
+
+        if (this.cvInitialized) {
+            this.inputMapper.enableCV();
+            this.showCameraPreview(true);
+            this.renderer.updatePermissionStatus('✓ Hand tracking active', false);
+            this.renderer.showNotification('📷 Camera reconnected. Hand tracking resumed.');
+        }
+
+        this.refreshCameraDevices();
+    }
+
     /**
      * Show/hide camera preview
      */
@@ -277,7 +1178,22 @@ class CosmicOrbCatcher {
         const restartBtn = document.getElementById('restartBtn');
         if (restartBtn) {
             restartBtn.addEventListener('click', () => {
-                this.gameController.restart();
+                this.restartGame();
+            });
+        }
+
+        // Pause overlay buttons
+        const resumeBtn = document.getElementById('resumeBtn');
+        if (resumeBtn) {
+            resumeBtn.addEventListener('click', () => {
+                this.gameController.resume();
+            });
+        }
+
+        const pauseRestartBtn = document.getElementById('pauseRestartBtn');
+        if (pauseRestartBtn) {
+            pauseRestartBtn.addEventListener('click', () => {
+                this.restartGame();
             });
         }
 
@@ -291,6 +1207,313 @@ class CosmicOrbCatcher {
                 }
             });
         }
+
+        // Settings panel
+        document.getElementById('settingsBtn')?.addEventListener('click', () => {
+            this.renderer.toggleSettings();
+        });
+        document.getElementById('closeSettings')?.addEventListener('click', () => {
+            this.renderer.toggleSettings(false);
+        });
+
+        // Camera picker
+        const cameraSelect = document.getElementById('cameraSelect');
+        if (cameraSelect) {
+            cameraSelect.addEventListener('change', () => {
+                this.switchCamera(cameraSelect.value);
+            });
+        }
+
+        // Two-hand mode and hand roles
+        const twoHandToggle = document.getElementById('twoHandToggle');
+        if (twoHandToggle) {
+            twoHandToggle.addEventListener('change', () => {
+                this.setTwoHandMode(twoHandToggle.checked);
+            });
+        }
+
+        const movementHandSelect = document.getElementById('movementHandSelect');
+        if (movementHandSelect) {
+            movementHandSelect.addEventListener('change', () => {
+                this.inputMapper.setMovementHand(movementHandSelect.value);
+            });
+        }
+
+        // Gamepad stick deadzone
+        const gamepadDeadzoneInput = document.getElementById('gamepadDeadzoneInput');
+        if (gamepadDeadzoneInput) {
+            gamepadDeadzoneInput.addEventListener('change', () => {
+                this.inputMapper.gamepads.configure({ deadzone: Number(gamepadDeadzoneInput.value) });
+                savePreference(GAMEPAD_DEADZONE_KEY, this.inputMapper.gamepads.deadzone);
+            });
+        }
+
+        // Touch steering style
+        const touchModeSelect = document.getElementById('touchModeSelect');
+        if (touchModeSelect) {
+            touchModeSelect.addEventListener('change', () => {
+                this.inputMapper.touch.setMode(touchModeSelect.value);
+                savePreference(TOUCH_MODE_KEY, this.inputMapper.touch.mode);
+            });
+        }
+
+        // Hand lost behavior
+        const handLostSelect = document.getElementById('handLostSelect');
+        if (handLostSelect) {
+            handLostSelect.addEventListener('change', () => {
+                this.featureProcessor.configure({ handLost: { policy: handLostSelect.value } });
+                savePreference(HAND_LOST_KEY, handLostSelect.value);
+            });
+        }
+
+        // Movement response
+        const movementModeSelect = document.getElementById('movementModeSelect');
+        if (movementModeSelect) {
+            movementModeSelect.addEventListener('change', () => {
+                this.setMovementResponse({ mode: movementModeSelect.value });
+            });
+        }
+
+        const responseCurveSelect = document.getElementById('responseCurveSelect');
+        if (responseCurveSelect) {
+            responseCurveSelect.addEventListener('change', () => {
+                this.setMovementResponse({ curve: responseCurveSelect.value });
+            });
+        }
+
+        const curvePointsInput = document.getElementById('curvePointsInput');
+        if (curvePointsInput) {
+            curvePointsInput.addEventListener('change', () => {
+                const points = curvePointsInput.value.split(',')
+                    .map(value => parseFloat(value))
+                    .filter(value => !Number.isNaN(value));
+                this.setMovementResponse({ points: points });
+            });
+        }
+
+        for (const axis of ['x', 'y']) {
+            const suffix = axis.toUpperCase();
+
+            const sensitivityInput = document.getElementById(`sensitivity${suffix}Input`);
+            if (sensitivityInput) {
+                sensitivityInput.addEventListener('change', () => {
+                    this.setMovementResponse({ sensitivity: { [axis]: Number(sensitivityInput.value) } });
+                });
+            }
+
+            const invertToggle = document.getElementById(`invert${suffix}Toggle`);
+            if (invertToggle) {
+                invertToggle.addEventListener('change', () => {
+                    this.setMovementResponse({ invert: { [axis]: invertToggle.checked } });
+                });
+            }
+        }
+
+        // Hand range calibration
+        const calibrateBtn = document.getElementById('calibrateBtn');
+        if (calibrateBtn) {
+            calibrateBtn.addEventListener('click', () => this.calibrate());
+        }
+
+        const resetCalibrationBtn = document.getElementById('resetCalibrationBtn');
+        if (resetCalibrationBtn) {
+            resetCalibrationBtn.addEventListener('click', () => this.resetCalibration());
+        }
+
+        const cancelCalibrationBtn = document.getElementById('cancelCalibrationBtn');
+        if (cancelCalibrationBtn) {
+            cancelCalibrationBtn.addEventListener('click', () => this.calibrationWizard.cancel());
+        }
+
+        // Position smoothing filter
+        const smoothingSelect = document.getElementById('smoothingSelect');
+        if (smoothingSelect) {
+            smoothingSelect.addEventListener('change', () => {
+                this.featureProcessor.configure({ filterType: smoothingSelect.value });
+                savePreference(SMOOTHING_KEY, this.featureProcessor.filterType);
+            });
+        }
+
+        // Latency-compensating prediction
+        const predictionToggle = document.getElementById('predictionToggle');
+        if (predictionToggle) {
+            predictionToggle.addEventListener('change', () => {
+                this.featureProcessor.configure({
+                    prediction: { enabled: predictionToggle.checked }
+                });
+                savePreference(PREDICTION_KEY, predictionToggle.checked);
+            });
+        }
+
+        // What pushing the hand toward the camera does
+        const depthModeSelect = document.getElementById('depthModeSelect');
+        if (depthModeSelect) {
+            depthModeSelect.addEventListener('change', () => {
+                // A replay keeps its recorded mode; the new one applies once it ends
+                if (this.replay) {
+                    this.replayRestore.depthMode = depthModeSelect.value;
+                    savePreference(DEPTH_MODE_KEY, depthModeSelect.value);
+                    return;
+                }
+
+                this.gameController.setDepthMode(depthModeSelect.value);
+                this.inputRecorder.recordSettings({ depthMode: this.gameController.depthMode });
+                savePreference(DEPTH_MODE_KEY, this.gameController.depthMode);
+            });
+        }
+
+        // How hands map to players in two-player games
+        const playerAssignSelect = document.getElementById('playerAssignSelect');
+        if (playerAssignSelect) {
+            playerAssignSelect.addEventListener('change', () => {
+                this.inputMapper.setPlayerAssignment(playerAssignSelect.value);
+                this.featureProcessor.reset();
+            });
+        }
+
+        // Game mode buttons
+        document.querySelectorAll('#modeSelect .mode-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setGameMode(button.dataset.mode);
+            });
+        });
+
+        // Tracking performance
+        const adaptiveQualityToggle = document.getElementById('adaptiveQualityToggle');
+        if (adaptiveQualityToggle) {
+            adaptiveQualityToggle.addEventListener('change', () => {
+                this.setCVQuality(adaptiveQualityToggle.checked);
+            });
+        }
+
+        const qualityLevelSelect = document.getElementById('qualityLevelSelect');
+        if (qualityLevelSelect) {
+            qualityLevelSelect.addEventListener('change', () => {
+                this.setCVQuality(false, Number(qualityLevelSelect.value));
+            });
+        }
+
+        // Custom gestures
+        const recordGestureBtn = document.getElementById('recordGestureBtn');
+        if (recordGestureBtn) {
+            recordGestureBtn.addEventListener('click', () => {
+                const nameInput = document.getElementById('gestureNameInput');
+                const commandSelect = document.getElementById('gestureCommandSelect');
+                this.recordCustomGesture(nameInput ? nameInput.value : '', commandSelect?.value);
+            });
+        }
+
+        const customGestureList = document.getElementById('customGestureList');
+        if (customGestureList) {
+            customGestureList.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-gesture-id]');
+                if (button) {
+                    this.deleteCustomGesture(button.dataset.gestureId);
+                }
+            });
+        }
+
+        const replaceGesturesToggle = document.getElementById('replaceGesturesToggle');
+        if (replaceGesturesToggle) {
+            replaceGesturesToggle.addEventListener('change', () => {
+                this.setCustomGestureMode(replaceGesturesToggle.checked);
+            });
+        }
+
+        // Key, button and gesture bindings
+        const bindingList = document.getElementById('bindingList');
+        if (bindingList) {
+            bindingList.addEventListener('click', (event) => {
+                const chip = event.target.closest('.binding-chip');
+                if (!chip) return;
+
+                if (chip.classList.contains('binding-add')) {
+                    this.rebindCommand(chip.dataset.command);
+                } else {
+                    this.inputMapper.removeBinding(chip.dataset.command, chip.dataset.binding);
+                    this.renderer.updateBindings(this.inputMapper.bindings);
+                }
+            });
+        }
+
+        document.getElementById('resetBindingsBtn')?.addEventListener('click', () => {
+            this.inputMapper.resetBindings();
+            this.renderer.updateBindings(this.inputMapper.bindings);
+            this.renderer.updateBindingStatus('Default bindings restored');
+        });
+
+        document.getElementById('exportBindingsBtn')?.addEventListener('click', () => {
+            this.exportBindings();
+        });
+
+        const importBindingsInput = document.getElementById('importBindingsInput');
+        if (importBindingsInput) {
+            importBindingsInput.addEventListener('change', () => {
+                const file = importBindingsInput.files[0];
+                if (file) {
+                    this.importBindings(file);
+                }
+                importBindingsInput.value = '';
+            });
+        }
+
+        // Replays
+        document.getElementById('watchBestReplayBtn')?.addEventListener('click', () => {
+            this.watchReplay(loadPreference(BEST_REPLAY_KEY, null));
+        });
+
+        document.getElementById('exportReplayBtn')?.addEventListener('click', () => {
+            if (this.lastReplay) {
+                this.exportReplay(this.lastReplay, 'replay');
+            }
+        });
+
+        document.getElementById('exportBestReplayBtn')?.addEventListener('click', () => {
+            const best = loadPreference(BEST_REPLAY_KEY, null);
+            if (best) {
+                this.exportReplay(best, 'best');
+            }
+        });
+
+        const importReplayInput = document.getElementById('importReplayInput');
+        if (importReplayInput) {
+            importReplayInput.addEventListener('change', () => {
+                const file = importReplayInput.files[0];
+                if (file) {
+                    this.importReplay(file);
+                }
+                importReplayInput.value = '';
+            });
+        }
+
+        // Video file in place of the camera
+        const videoFileInput = document.getElementById('videoFileInput');
+        if (videoFileInput) {
+            videoFileInput.addEventListener('change', () => {
+                const file = videoFileInput.files[0];
+                if (file) {
+                    this.useVideoFile(file);
+                }
+                videoFileInput.value = '';
+            });
+        }
+    }
+
+    /**
+     * Play the replay frames due this frame (paused replays wait)
+     */
+    advanceReplay(deltaTime) {
+        if (this.gameController.state !== GameState.PLAYING) {
+            return;
+        }
+
+        this.replay.advance(this.gameController, deltaTime);
+
+        // A cut-off recording never reaches game over
+        if (this.replay && this.replay.isFinished() && this.gameController.state === GameState.PLAYING) {
+            this.stopReplay();
+            this.renderer.showNotification('▶ Replay ended');
+        }
     }
 
     /**
@@ -308,7 +1531,9 @@ class CosmicOrbCatcher {
             this.lastFrameTime = now;
 
             // Process CV frame if available
-            if (this.cvInitialized && this.cameraManager.isVideoReady()) {
+            if (this.cvInitialized && !this.cvEngine.needsVideo()) {
+                await this.cvEngine.processFrame(null);
+            } else if (this.cvInitialized && this.cameraManager.isVideoReady()) {
                 const video = this.cameraManager.getVideoElement();
                 if (video) {
                     await this.cvEngine.processFrame(video);
@@ -318,8 +1543,20 @@ class CosmicOrbCatcher {
             // Get input state
             const input = this.inputMapper.getInput();
 
-            // Update game logic
-            this.gameController.update(deltaTime, input);
+            // Virtual joystick follows the steering finger
+            if (this.inputMapper.touch.used) {
+                this.renderer.updateTouchJoystick(this.inputMapper.touch.getJoystick());
+            }
+
+            // Update game logic - from a replay being watched, or live (and recorded)
+            if (this.replay) {
+                this.advanceReplay(deltaTime);
+            } else if (this.inputRecorder.isRecording() && this.gameController.state === GameState.PLAYING) {
+                const frame = this.inputRecorder.record(deltaTime, input);
+                this.gameController.update(frame.deltaTime, frame.input);
+            } else {
+                this.gameController.update(deltaTime, input);
+            }
 
             // Update entity positions in renderer
             this.renderer.updateEntityPositions(this.gameController.entities);
@@ -336,8 +1573,14 @@ class CosmicOrbCatcher {
      */
     stop() {
         this.isRunning = false;
+        clearInterval(this.metricsTimer);
         this.cameraManager.stopStream();
         this.cvEngine.dispose();
+        this.temporalGestures.dispose();
+        this.handCursor.dispose();
+        this.gestureRecorder.cancel();
+        this.calibrationWizard.cancel();
+        this.gestureStore.dispose();
         this.inputMapper.dispose();
         this.gameController.dispose();
         this.renderer.dispose();
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+//
+// Replay recorded games without a browser and check they end the same way.
+//
+// Usage: node scripts/check-replay.mjs [replay.json ...]
+//
+// Each file is a replay downloaded from the ⚙️ Replays panel. Without files,
+// a scripted game is recorded in every mode and its JSON replayed instead,
+// which checks that the game itself is still deterministic.
+// Exits with status 1 if any replay ends differently from its recording.
+
+import { readFile } from 'node:fs/promises';
+import { GameController, GameState, GameMode, DepthMode } from '../js/GameController.js';
+import { InputRecorder, InputReplay } from '../js/InputRecorder.js';
+import { SeededRandom } from '../js/SeededRandom.js';
+
+const MAX_FRAMES = 60 * 60 * 3;  // Three minutes at 60 fps
+
+// Record one game driven by seeded pseudo-random input
+function recordScriptedGame(mode, depthMode, seed) {
+    const input = new SeededRandom(seed);
+    const controller = new GameController().init();
+    const recorder = new InputRecorder();
+
+    const player = (t) => ({
+        horizontal: Math.sin(t * (1 + input.next())),
+        vertical: Math.cos(t * 0.7) * input.next(),
+        depth: input.next(),
+        actionPrimary: input.next() < 0.1
+    });
+
+    controller.onGameStart = (gameSeed) => recorder.start({ seed: gameSeed, mode: mode, depthMode: depthMode });
+    controller.setMode(mode);
+    controller.setDepthMode(depthMode);
+    controller.startGame(seed);
+
+    let time = 0;
+    for (let frame = 0; frame < MAX_FRAMES && controller.getState() === GameState.PLAYING; frame++) {
+        const deltaTime = 1 / 60 + (input.next() - 0.5) * 0.004;
+        time += deltaTime;
+
+        const frameInput = { ...player(time), dash: input.next() < 0.01 ? { x: 1, y: 0 } : null };
+        if (mode !== GameMode.SINGLE) {
+            frameInput.players = [player(time), player(time)];
+        }
+
+        const recorded = recorder.record(deltaTime, frameInput);
+        controller.update(recorded.deltaTime, recorded.input);
+    }
+
+    return { name: `scripted ${mode} (${depthMode})`, data: recorder.stop(controller.getStats()) };
+}
+
+async function loadReplays(files) {
+    if (files.length === 0) {
+        return [
+            recordScriptedGame(GameMode.SINGLE, DepthMode.OFF, 1),
+            recordScriptedGame(GameMode.SINGLE, DepthMode.ALTITUDE, 2),
+            recordScriptedGame(GameMode.CO_OP, DepthMode.BOOST, 3),
+            recordScriptedGame(GameMode.VERSUS, DepthMode.OFF, 4)
+        ];
+    }
+
+    return Promise.all(files.map(async (file) => ({
+        name: file,
+        data: JSON.parse(await readFile(file, 'utf8'))
+    })));
+}
+
+let failed = 0;
+
+for (const { name, data } of await loadReplays(process.argv.slice(2))) {
+    const replay = new InputReplay();
+
+    // Through JSON, like a downloaded file
+    const loaded = replay.load(JSON.parse(JSON.stringify(data)));
+    const result = loaded.success ? replay.verify(new GameController()) : loaded;
+
+    if (result.success) {
+        console.log(`ok    ${name}: score ${result.stats.score}`);
+    } else {
+        failed++;
+        console.log(`FAIL  ${name}: ${result.reason}`);
+    }
+}
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,82 @@
+#!/usr/bin/env bash
+#
+# Download Babylon.js and MediaPipe into vendor/ so the game runs offline.
+#
+# Usage: ./scripts/fetch-vendor.sh
+#
+# Packages come from the npm registry at the versions index.html pins.
+# vendor/files.json lists everything fetched; the service worker reads it
+# to precache the assets.
+
+set -euo pipefail
+
+ROOT="$(cd "$(dirname "$0")/.." && pwd)"
+VENDOR="$ROOT/vendor"
+REGISTRY="https://registry.npmjs.org"
+
+BABYLON_VERSION="6.49.0"
+HANDS_VERSION="0.4.1675469240"
+CAMERA_UTILS_VERSION="0.3.1675466862"
+TASKS_VISION_VERSION="0.10.14"
+HAND_LANDMARKER_MODEL="https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task"
+
+# fetch_package <package> <version> <target dir> <files...>
+fetch_package() {
+    local package="$1" version="$2" target="$3"
+    shift 3
+
+    local name="${package##*/}"
+    local tmp
+    tmp="$(mktemp -d)"
+
+    echo "Fetching $package@$version"
+    curl -fsSL "$REGISTRY/$package/-/$name-$version.tgz" | tar -xz -C "$tmp"
+
+    mkdir -p "$target"
+    for file in "$@"; do
+        mkdir -p "$target/$(dirname "$file")"
+        cp "$tmp/package/$file" "$target/$file"
+    done
+
+    rm -rf "$tmp"
+}
+
+rm -rf "$VENDOR"
+
+fetch_package babylonjs "$BABYLON_VERSION" "$VENDOR/babylonjs" babylon.js
+fetch_package babylonjs-loaders "$BABYLON_VERSION" "$VENDOR/babylonjs" babylonjs.loaders.min.js
+
+fetch_package @mediapipe/camera_utils "$CAMERA_UTILS_VERSION" "$VENDOR/mediapipe/camera_utils" camera_utils.js
+
+fetch_package @mediapipe/hands "$HANDS_VERSION" "$VENDOR/mediapipe/hands" \
+    hands.js \
+    hands.binarypb \
+    hand_landmark_full.tflite \
+    hand_landmark_lite.tflite \
+    hands_solution_packed_assets.data \
+    hands_solution_packed_assets_loader.js \
+    hands_solution_simd_wasm_bin.data \
+    hands_solution_simd_wasm_bin.js \
+    hands_solution_simd_wasm_bin.wasm \
+    hands_solution_wasm_bin.js \
+    hands_solution_wasm_bin.wasm
+
+# Used by the off-main-thread tracker (CVWorker.js)
+fetch_package @mediapipe/tasks-vision "$TASKS_VISION_VERSION" "$VENDOR/mediapipe/tasks-vision" \
+    vision_bundle.mjs \
+    wasm/vision_wasm_internal.js \
+    wasm/vision_wasm_internal.wasm \
+    wasm/vision_wasm_nosimd_internal.js \
+    wasm/vision_wasm_nosimd_internal.wasm
+
+echo "Fetching hand_landmarker.task"
+curl -fsSL "$HAND_LANDMARKER_MODEL" -o "$VENDOR/mediapipe/hand_landmarker.task"
+
+# File list for the service worker
+(
+    cd "$ROOT"
+    find vendor -type f ! -name files.json | sort |
+        awk 'BEGIN { print "[" } { printf "%s    \"%s\"", (NR > 1 ? ",\n" : ""), $0 } END { print "\n]" }'
+) > "$VENDOR/files.json"
+
+echo "Done - $(($(wc -l < "$VENDOR/files.json") - 2)) files in vendor/"
@@ -0,0 +1,149 @@
+/**
+ * Service Worker - Offline Support
+ *
+ * Responsible for:
+ * - Precaching the app shell and self-hosted vendor/ assets
+ * - Serving cached files when the network is unavailable
+ * - Caching CDN assets on first use as a fallback
+ *
+ * Bump CACHE_VERSION when the shell list changes.
+ */
+
+const CACHE_VERSION = 'v13';
+const CACHE_NAME = `cosmic-orb-catcher-${CACHE_VERSION}`;
+
+// Everything the game needs besides vendor/ (listed in vendor/files.json)
+const APP_SHELL = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'css/styles.css',
+    'js/main.js',
+    'js/CameraManager.js',
+    'js/CVEngine.js',
+    'js/AdaptiveQuality.js',
+    'js/CVWorker.js',
+    'js/DetectorBackend.js',
+    'js/MediaPipeHandsBackend.js',
+    'js/HandLandmarkerBackend.js',
+    'js/WorkerBackend.js',
+    'js/MockBackend.js',
+    'js/CalibrationWizard.js',
+    'js/FeatureProcessor.js',
+    'js/Filters.js',
+    'js/ResponseCurve.js',
+    'js/GestureStateMachine.js',
+    'js/TemporalGestureDetector.js',
+    'js/GestureClassifier.js',
+    'js/GestureRecorder.js',
+    'js/GestureStore.js',
+    'js/Commands.js',
+    'js/InputBindings.js',
+    'js/InputMapper.js',
+    'js/GamepadInput.js',
+    'js/TouchInput.js',
+    'js/HandCursor.js',
+    'js/InputRecorder.js',
+    'js/GameController.js',
+    'js/SeededRandom.js',
+    'js/Renderer.js',
+    'js/Preferences.js'
+];
+
+// Third-party hosts whose responses are cached on first use
+const CDN_HOSTS = [
+    'cdn.babylonjs.com',
+    'cdn.jsdelivr.net',
+    'storage.googleapis.com'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_SHELL);
+        await precacheVendor(cache);
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('cosmic-orb-catcher-') && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        // Versioned vendor files never change; app files might
+        event.respondWith(url.pathname.includes('/vendor/') ?
+            cacheFirst(request) : networkFirst(request));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * Cache the self-hosted engine files, if scripts/fetch-vendor.sh was run
+ */
+async function precacheVendor(cache) {
+    try {
+        const response = await fetch('vendor/files.json', { cache: 'no-store' });
+        if (!response.ok) {
+            return;
+        }
+
+        const files = await response.json();
+        await cache.addAll(files);
+    } catch (error) {
+        // No vendor/ - the game keeps using the CDNs
+    }
+}
+
+/**
+ * Serve from cache, fetching (and caching) on a miss
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(CACHE_NAME);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Prefer fresh files, fall back to the cache when offline
+ */
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(CACHE_NAME);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}